@@ -2,10 +2,15 @@
 // Fully integrated Processus engine with BullMQ, retry, and fallback
 
 import * as processus from './processus.js';
+import * as approvals from './approvals.js';
+import * as schedules from './schedules.js';
 import store from './persistence/store.js';
 import WorkflowQueue from './WorkflowQueue.js';
 import RetryFallbackSystem from './RetryFallbackSystem.js';
 import logger from './logger.js';
+import { parseDuration } from './duration.js';
+
+const QUEUE_ROLES = ['all', 'producer', 'worker'];
 
 export class ProcessusEngine {
   constructor(config = {}) {
@@ -22,7 +27,15 @@ export class ProcessusEngine {
       },
       queue: {
         workflowConcurrency: config.workflowConcurrency || 50,
-        taskConcurrency: config.taskConcurrency || 100
+        taskConcurrency: config.taskConcurrency || 100,
+        // Queued workflows run each task as a job on the workflow-tasks queue
+        distributedTasks: config.distributedTasks ?? process.env.DISTRIBUTED_TASKS === 'true',
+        // all: enqueue and run workers, producer: only enqueue, worker: only
+        // run workers (for workerQueues, default both queues)
+        role: config.queueRole || process.env.QUEUE_ROLE || 'all',
+        workerQueues: config.workerQueues,
+        // bullmq (Redis) or memory (this process only), see QueueManager
+        backend: config.queueBackend || process.env.QUEUE_BACKEND || 'bullmq'
       }
     };
 
@@ -50,9 +63,33 @@ export class ProcessusEngine {
 
       // Initialize queue system if enabled
       if (this.config.useQueue) {
-        this.workflowQueue = new WorkflowQueue(this.config.redis);
+        const { role, backend } = this.config.queue;
+        if (!QUEUE_ROLES.includes(role)) {
+          throw new Error(`Invalid queue role [${role}], expected one of ${QUEUE_ROLES.join(', ')}`);
+        }
+        // Nobody else would ever see what a producer puts in memory
+        if (backend === 'memory' && role !== 'all') {
+          throw new Error(`The memory queue backend only runs in one process, queue role [${role}] needs QUEUE_BACKEND=bullmq`);
+        }
+
+        this.workflowQueue = new WorkflowQueue(this.config.redis, {
+          backend,
+          distributedTasks: this.config.queue.distributedTasks,
+          workerQueues: role === 'producer' ? [] : this.config.queue.workerQueues,
+          workflowConcurrency: this.config.queue.workflowConcurrency,
+          taskConcurrency: this.config.queue.taskConcurrency
+        });
         await this.workflowQueue.initialize();
         logger.info('✅ Queue system initialized');
+
+        // Schedules are kept in the store, so they survive restarts
+        const stored = await new Promise((resolve, reject) => {
+          schedules.listSchedules((err, list) => {
+            if (err) reject(err);
+            else resolve(list);
+          });
+        });
+        await this.workflowQueue.syncSchedules(stored);
       }
 
       this.initialized = true;
@@ -74,14 +111,27 @@ export class ProcessusEngine {
       priority = 0,
       retry = true,
       fallback = null,
-      metadata = {}
+      metadata = {},
+      inputs = {},
+      delay = null,
+      runAt = null
     } = options;
 
+    // Invalid inputs are rejected up front, never queued or retried
+    workflowDef = processus.bindInputs(workflowDef, inputs);
+
+    // A run starting later waits in the queue, whatever useQueue says
+    const startIn = startDelay(delay, runAt);
+    if (startIn !== null && !this.workflowQueue) {
+      throw processus.workflowError('Delayed runs need the queue, initialize the engine with useQueue', 'QUEUE_REQUIRED');
+    }
+
     // Queue execution
-    if (useQueue && this.workflowQueue) {
+    if ((useQueue || startIn !== null) && this.workflowQueue) {
       return await this.executeWorkflowQueued(workflowDef, {
         priority,
         metadata,
+        delay: startIn || 0,
         attempts: retry ? this.config.retry.maxAttempts : 1
       });
     }
@@ -123,6 +173,10 @@ export class ProcessusEngine {
 
     const workflowFn = async () => await this.executeWorkflowDirect(workflowDef);
 
+    // A compensated run has been undone already, running it again would
+    // repeat the side effects it just rolled back
+    const shouldRetry = (error) => !error.compensated;
+
     if (fallback) {
       // Execute with fallback
       return await this.retrySystem.executeWithFallback(
@@ -132,6 +186,7 @@ export class ProcessusEngine {
           maxAttempts: this.config.retry.maxAttempts,
           strategy: this.config.retry.strategy,
           baseDelay: this.config.retry.baseDelay,
+          shouldRetry,
           onRetry: (attempt, error, delay) => {
             logger.warn(
               `⏳ Workflow retry ${attempt}/${this.config.retry.maxAttempts} ` +
@@ -146,7 +201,8 @@ export class ProcessusEngine {
     return await this.retrySystem.executeWithRetry(workflowFn, {
       maxAttempts: this.config.retry.maxAttempts,
       strategy: this.config.retry.strategy,
-      baseDelay: this.config.retry.baseDelay
+      baseDelay: this.config.retry.baseDelay,
+      shouldRetry
     });
   }
 
@@ -164,11 +220,24 @@ export class ProcessusEngine {
     return {
       queued: true,
       jobId: result.jobId,
+      workflowId: result.workflowId,
       workflowName: result.workflowName,
-      queueName: result.queueName
+      queueName: result.queueName,
+      runAt: result.runAt
     };
   }
 
+  // Workflows queued to start later; cancel one with cancelWorkflow
+  async listDelayedWorkflows() {
+    if (!this.initialized) {
+      await this.initialize();
+    }
+    if (!this.workflowQueue) {
+      return [];
+    }
+    return await this.workflowQueue.getDelayedWorkflows();
+  }
+
   // Execute multiple workflows in bulk
   async executeBulk(workflows, options = {}) {
     if (!this.initialized) {
@@ -239,6 +308,232 @@ export class ProcessusEngine {
     });
   }
 
+  // Compact result (id, status, outputs) of a direct run; queued runs are
+  // returned as they are
+  toResult(result) {
+    if (!result || result.queued) {
+      return result;
+    }
+
+    // Retried runs come wrapped as { success, result, attempts }
+    const workflow = result.result && result.result.id ? result.result : result;
+    const compact = processus.workflowResult(workflow);
+    if (result.attempts !== undefined) {
+      compact.attempts = result.attempts;
+    }
+    return compact;
+  }
+
+  // Get the outputs of a workflow instance
+  async getWorkflowOutputs(workflowId) {
+    const workflow = await this.getWorkflowStatus(workflowId);
+    if (!workflow) {
+      throw new Error(`Workflow instance [${workflowId}] not found`);
+    }
+    return processus.workflowResult(workflow);
+  }
+
+  // Cancel a workflow (queued, running or paused)
+  async cancelWorkflow(workflowId, reason = 'Cancelled by user') {
+    if (!this.initialized) {
+      await this.initialize();
+    }
+
+    // Still waiting in the queue: drop the job and record the cancellation
+    if (this.workflowQueue) {
+      const queued = await this.workflowQueue.removePendingWorkflow(workflowId);
+      if (queued) {
+        const workflow = {
+          ...queued,
+          status: 'cancelled',
+          cancelReason: reason,
+          timeCancelled: Date.now()
+        };
+
+        await new Promise((resolve, reject) => {
+          store.saveInstance(workflow, (err) => {
+            if (err) reject(err);
+            else resolve();
+          });
+        });
+
+        logger.info(`⊘ Cancelled queued workflow: ${workflowId}`);
+        return workflow;
+      }
+    }
+
+    return new Promise((resolve, reject) => {
+      processus.cancelWorkflow(workflowId, reason, (err, workflow) => {
+        if (err) {
+          reject(err);
+        } else {
+          logger.info(`⊘ Cancelled workflow: ${workflowId}`);
+          resolve(workflow);
+        }
+      });
+    });
+  }
+
+  // Resume a paused task with its output parameters and continue the workflow
+  async resumeTask(workflowId, taskName, parameters = {}) {
+    if (!this.initialized) {
+      await this.initialize();
+    }
+
+    return new Promise((resolve, reject) => {
+      processus.resumeTask(workflowId, taskName, parameters, (err, workflow) => {
+        // Refusals carry a code; a failure of the continued run is reported
+        // through the returned workflow's status instead
+        if (err && (err.code || !workflow)) {
+          reject(err);
+          return;
+        }
+
+        logger.info(`▶️ Resumed task ${taskName} of workflow: ${workflowId} (${workflow.status})`);
+        resolve(workflow);
+      });
+    });
+  }
+
+  // Restart a finished workflow: options { mode, task, reason }, see processus.restartWorkflow
+  async restartWorkflow(workflowId, options = {}) {
+    if (!this.initialized) {
+      await this.initialize();
+    }
+
+    return new Promise((resolve, reject) => {
+      processus.restartWorkflow(workflowId, options, (err, workflow) => {
+        // As with resumeTask, only coded errors are refusals
+        if (err && (err.code || !workflow)) {
+          reject(err);
+          return;
+        }
+
+        logger.info(`↻ Restarted workflow: ${workflowId} (${workflow.status})`);
+        resolve(workflow);
+      });
+    });
+  }
+
+  // Run a definition on a cron schedule: options { cron, timezone, inputs,
+  // startAt, endAt }. A definition object is saved first, under its name.
+  async scheduleWorkflow(definition, options = {}) {
+    if (!this.initialized) {
+      await this.initialize();
+    }
+    if (!this.workflowQueue) {
+      throw processus.workflowError('Scheduling needs the queue, initialize the engine with useQueue', 'QUEUE_REQUIRED');
+    }
+
+    let name = definition;
+    if (definition && typeof definition === 'object') {
+      if (!definition.name) {
+        throw processus.workflowError('Invalid workflow definition: "name" property is required', 'INVALID_SCHEDULE');
+      }
+      await new Promise((resolve, reject) => {
+        store.saveDefinition(definition, (err) => {
+          if (err) reject(err);
+          else resolve();
+        });
+      });
+      name = definition.name;
+    }
+
+    const schedule = await new Promise((resolve, reject) => {
+      schedules.createSchedule(name, options, (err, created) => {
+        if (err) reject(err);
+        else resolve(created);
+      });
+    });
+
+    try {
+      await this.workflowQueue.addSchedule(schedule);
+    } catch (error) {
+      // Not left in the store half registered
+      await new Promise((resolve) => schedules.deleteSchedule(schedule.id, () => resolve()));
+      throw error;
+    }
+
+    return schedule;
+  }
+
+  // List schedules with their last and next run times
+  async listSchedules() {
+    if (!this.initialized) {
+      await this.initialize();
+    }
+    return new Promise((resolve, reject) => {
+      schedules.listSchedules((err, list) => {
+        if (err) reject(err);
+        else resolve(list);
+      });
+    });
+  }
+
+  // Delete a schedule; runs it already queued are not affected
+  async unscheduleWorkflow(scheduleId) {
+    if (!this.initialized) {
+      await this.initialize();
+    }
+
+    const schedule = await new Promise((resolve, reject) => {
+      schedules.deleteSchedule(scheduleId, (err, deleted) => {
+        if (err) reject(err);
+        else resolve(deleted);
+      });
+    });
+
+    // Without the queue, the next node starting with it drops the job
+    if (this.workflowQueue) {
+      await this.workflowQueue.removeSchedule(scheduleId);
+    }
+    return schedule;
+  }
+
+  // List approval requests waiting for a decision
+  async listApprovals() {
+    if (!this.initialized) {
+      await this.initialize();
+    }
+    return new Promise((resolve, reject) => {
+      approvals.listApprovals((err, pending) => {
+        if (err) reject(err);
+        else resolve(pending);
+      });
+    });
+  }
+
+  // Approve or reject a pending approval and continue the workflow
+  async decideApproval(workflowId, taskName, decision) {
+    if (!this.initialized) {
+      await this.initialize();
+    }
+
+    return new Promise((resolve, reject) => {
+      approvals.decideApproval(workflowId, taskName, decision, (err, workflow) => {
+        // As with resumeTask, only coded errors are refusals
+        if (err && (err.code || !workflow)) {
+          reject(err);
+          return;
+        }
+        resolve(workflow);
+      });
+    });
+  }
+
+  // Record overdue approvals as expired
+  async expireApprovals() {
+    if (!this.initialized) {
+      await this.initialize();
+    }
+    return new Promise((resolve, reject) => {
+      approvals.expireApprovals((err, count) => {
+        if (err) reject(err);
+        else resolve(count);
+      });
+    });
+  }
+
   // Get multiple workflows from persistence
   async getWorkflows(query = {}) {
     if (!this.initialized) {
@@ -307,6 +602,15 @@ export class ProcessusEngine {
     }
   }
 
+  // Stop taking queued jobs and wait for the active ones to finish
+  async drain() {
+    if (this.workflowQueue) {
+      logger.info('⏳ Draining workers, waiting for active jobs to finish...');
+      await this.workflowQueue.drain();
+      logger.info('✅ Workers drained');
+    }
+  }
+
   // Shutdown gracefully
   async shutdown() {
     logger.info('🛑 Shutting down ProcessusEngine...');
@@ -324,6 +628,35 @@ export class ProcessusEngine {
   }
 }
 
+// Milliseconds until a run should start, from a delay ("30s", 1500) or a
+// runAt date; null when neither is given, 0 when runAt has already passed
+function startDelay(delay, runAt) {
+  const hasDelay = delay !== null && delay !== undefined && delay !== '';
+  const hasRunAt = runAt !== null && runAt !== undefined && runAt !== '';
+
+  if (hasDelay && hasRunAt) {
+    throw processus.workflowError('Give either a delay or a runAt, not both', 'INVALID_DELAY');
+  }
+
+  if (hasDelay) {
+    try {
+      return parseDuration(delay);
+    } catch (err) {
+      throw processus.workflowError(err.message, 'INVALID_DELAY');
+    }
+  }
+
+  if (hasRunAt) {
+    const time = typeof runAt === 'number' ? runAt : new Date(runAt).getTime();
+    if (!Number.isFinite(time)) {
+      throw processus.workflowError(`Invalid runAt [${runAt}], expected a date`, 'INVALID_DELAY');
+    }
+    return Math.max(0, time - Date.now());
+  }
+
+  return null;
+}
+
 // Export singleton instance
 let engineInstance = null;
 
@@ -334,4 +667,4 @@ export function getEngine(config) {
   return engineInstance;
 }
 
-export default ProcessusEngine;
\ No newline at end of file
+export default ProcessusEngine;
@@ -1,12 +1,27 @@
 // engine/QueueManager.js
 // BullMQ Integration for 1000+ distributed jobs/min with retry and priority control
+//
+// Queues and workers come from a pluggable backend, chosen with QUEUE_BACKEND:
+// bullmq  (default) BullMQ on Redis, shared by every connected process
+// memory  in this process only, for local runs and tests without Redis
+// A backend is { name, shared, connect(), createQueue(name, options),
+// createWorker(name, processor, options), acquireLock(key, token, ttl),
+// releaseLock(key, token), close() }, its queues, workers and jobs offering
+// the BullMQ API used here.
 
-import { Queue, Worker } from 'bullmq';
-import Redis from 'ioredis';
 import logger from './logger.js';
+import { createBullMQBackend } from './queueBackends/bullmq.js';
+import { createMemoryBackend } from './queueBackends/memory.js';
+
+const backends = {
+  bullmq: (redisConfig) => createBullMQBackend(redisConfig),
+  memory: () => createMemoryBackend()
+};
+
+export const QUEUE_BACKENDS = Object.keys(backends);
 
 export class QueueManager {
-  constructor(redisConfig = {}) {
+  constructor(redisConfig = {}, backend = process.env.QUEUE_BACKEND || 'bullmq') {
     this.redisConfig = {
       host: redisConfig.host || process.env.REDIS_HOST || 'localhost',
       port: redisConfig.port || process.env.REDIS_PORT || 6379,
@@ -14,7 +29,10 @@ export class QueueManager {
       ...redisConfig
     };
 
-    this.connection = null;
+    if (!backends[backend]) {
+      throw new Error(`Unknown queue backend [${backend}], expected one of: ${QUEUE_BACKENDS.join(', ')}`);
+    }
+    this.backend = backends[backend](this.redisConfig);
     this.queues = new Map();
     this.workers = new Map();
     this.schedulers = new Map();
@@ -31,12 +49,7 @@ export class QueueManager {
   // Initialize connection
   async connect() {
     try {
-      this.connection = new Redis({
-        host: this.redisConfig.host,
-        port: this.redisConfig.port,
-        maxRetriesPerRequest: null
-      });
-      logger.info('✅ QueueManager connected to Redis');
+      await this.backend.connect();
       
       // Start throughput monitoring
       this.startThroughputMonitoring();
@@ -51,8 +64,7 @@ export class QueueManager {
   // Create or get queue
   getQueue(queueName, options = {}) {
     if (!this.queues.has(queueName)) {
-      const queue = new Queue(queueName, {
-        connection: this.connection,
+      const queue = this.backend.createQueue(queueName, {
         defaultJobOptions: {
           attempts: options.attempts || 3,
           backoff: {
@@ -129,6 +141,31 @@ export class QueueManager {
     }
   }
 
+  // Add or update a repeatable job (BullMQ job scheduler) on a queue:
+  // repeat is { pattern, tz, startDate, endDate }, template { name, data }
+  async upsertScheduler(queueName, schedulerId, repeat, template) {
+    const queue = this.getQueue(queueName);
+
+    await queue.upsertJobScheduler(schedulerId, repeat, template);
+    this.schedulers.set(schedulerId, queueName);
+    logger.debug(`📅 Scheduler ${schedulerId} on ${queueName}: ${repeat.pattern}`);
+  }
+
+  // Remove a repeatable job; true if it existed
+  async removeScheduler(queueName, schedulerId) {
+    const queue = this.getQueue(queueName);
+
+    this.schedulers.delete(schedulerId);
+    return await queue.removeJobScheduler(schedulerId);
+  }
+
+  // Ids of the repeatable jobs on a queue
+  async getSchedulerIds(queueName) {
+    const queue = this.getQueue(queueName);
+    const schedulers = await queue.getJobSchedulers();
+    return schedulers.map((scheduler) => scheduler.key);
+  }
+
   // Create worker with concurrency control
   createWorker(queueName, processor, options = {}) {
     if (this.workers.has(queueName)) {
@@ -138,7 +175,7 @@ export class QueueManager {
 
     const concurrency = options.concurrency || 10; // Process 10 jobs concurrently
     
-    const worker = new Worker(
+    const worker = this.backend.createWorker(
       queueName,
       async (job) => {
         const startTime = Date.now();
@@ -161,7 +198,6 @@ export class QueueManager {
         }
       },
       {
-        connection: this.connection,
         concurrency,
         limiter: options.limiter || {
           max: 1000, // Max 1000 jobs
@@ -331,19 +367,33 @@ export class QueueManager {
     logger.info(`🚽 Drained queue: ${queueName}`);
   }
 
+  // Take a lock nobody else holds, for ttl milliseconds; false when it is taken
+  async acquireLock(key, token, ttl) {
+    return await this.backend.acquireLock(key, token, ttl);
+  }
+
+  // Release a lock, if it is still the one set with this token
+  async releaseLock(key, token) {
+    await this.backend.releaseLock(key, token);
+  }
+
+  // Close all workers together: each stops taking jobs at once and
+  // finishes the ones it is running
+  async closeWorkers() {
+    await Promise.all([...this.workers].map(async ([name, worker]) => {
+      await worker.close();
+      logger.info(`👷 Closed worker: ${name}`);
+    }));
+    this.workers.clear();
+  }
+
   // Close all connections
   async close() {
     // Close all workers
-    for (const [name, worker] of this.workers) {
-      await worker.close();
-      logger.info(`👷 Closed worker: ${name}`);
-    }
+    await this.closeWorkers();
 
-    // Close all schedulers
-    for (const [name, scheduler] of this.schedulers) {
-      await scheduler.close();
-      logger.info(`📅 Closed scheduler: ${name}`);
-    }
+    // Job schedulers live in the backend, closed with their queues
+    this.schedulers.clear();
 
     // Close all queues
     for (const [name, queue] of this.queues) {
@@ -356,11 +406,8 @@ export class QueueManager {
       clearInterval(this.throughputInterval);
     }
 
-    // Close Redis connection
-    if (this.connection) {
-      await this.connection.quit();
-      logger.info('✅ QueueManager disconnected from Redis');
-    }
+    // Close the backend (the Redis connection for bullmq)
+    await this.backend.close();
   }
 }
 
@@ -39,6 +39,18 @@ export class RetryFallbackSystem {
     return Math.min(b * baseDelay, 30000); // Max 30s
   }
 
+  // Calculate the delay before the next attempt
+  // jitter randomly shortens the delay by up to that fraction (true = up to 100%)
+  calculateDelay(attempt, options = {}) {
+    const { strategy = 'exponential', baseDelay, jitter = 0 } = options;
+
+    const strategyFn = this.retryStrategies[strategy] || this.exponentialBackoff;
+    const delay = strategyFn.call(this, attempt, baseDelay);
+    const spread = jitter === true ? 1 : Number(jitter) || 0;
+
+    return Math.round(delay - delay * spread * Math.random());
+  }
+
   // Execute with retry logic
   async executeWithRetry(fn, options = {}) {
     const {
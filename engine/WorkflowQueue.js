@@ -1,16 +1,37 @@
 // engine/WorkflowQueue.js
 // Integration layer between Processus engine and BullMQ for distributed workflow execution
 
+import { v4 as uuidv4 } from 'uuid';
 import QueueManager from './QueueManager.js';
 import * as processus from './processus.js';
+import * as schedules from './schedules.js';
 import logger from './logger.js';
 
+// How long a worker may hold a workflow's lock while applying a task
+// result, and how long another worker waits for it
+const LOCK_TTL = 60000;
+const LOCK_WAIT = 120000;
+
+// Job fired on the workflows queue by a schedule's repeatable job
+const SCHEDULED_RUN = 'scheduled-run';
+const SCHEDULER_PREFIX = 'schedule:';
+
 export class WorkflowQueue {
-  constructor(redisConfig = {}) {
-    this.queueManager = new QueueManager(redisConfig);
+  constructor(redisConfig = {}, options = {}) {
+    this.queueManager = new QueueManager(redisConfig, options.backend);
     this.workflowQueue = 'workflows';
     this.taskQueue = 'workflow-tasks';
+    this.distributedTasks = options.distributedTasks === true;
+    // Queues this process runs workers for; none for a producer-only node
+    this.workerQueues = options.workerQueues || [this.workflowQueue, this.taskQueue];
+    this.workflowConcurrency = options.workflowConcurrency || 50;
+    this.taskConcurrency = options.taskConcurrency || 100;
     this.initialized = false;
+
+    const unknown = this.workerQueues.filter((name) => ![this.workflowQueue, this.taskQueue].includes(name));
+    if (unknown.length > 0) {
+      throw new Error(`Unknown queue(s) ${unknown.join(', ')}, expected ${this.workflowQueue} or ${this.taskQueue}`);
+    }
   }
 
   // Initialize queue system
@@ -22,30 +43,50 @@ export class WorkflowQueue {
 
     await this.queueManager.connect();
 
+    // Both queues exist from the start, so pause, stats and cleanup reach
+    // them before their first job
+    this.queueManager.getQueue(this.workflowQueue);
+    this.queueManager.getQueue(this.taskQueue);
+
     // Create workflow processing worker
-    this.queueManager.createWorker(
-      this.workflowQueue,
-      async (job) => await this.processWorkflow(job),
-      {
-        concurrency: 50, // Process 50 workflows concurrently
-        limiter: {
-          max: 1000,
-          duration: 60000 // 1000 workflows per minute
+    if (this.workerQueues.includes(this.workflowQueue)) {
+      this.queueManager.createWorker(
+        this.workflowQueue,
+        async (job) => job.name === SCHEDULED_RUN
+          ? await this.processScheduledRun(job)
+          : await this.processWorkflow(job),
+        {
+          concurrency: this.workflowConcurrency, // Default: 50 workflows concurrently
+          limiter: {
+            max: 1000,
+            duration: 60000 // 1000 workflows per minute
+          }
         }
-      }
-    );
+      );
+    }
 
     // Create task processing worker
-    this.queueManager.createWorker(
-      this.taskQueue,
-      async (job) => await this.processTask(job),
-      {
-        concurrency: 100, // Process 100 tasks concurrently
-        limiter: {
-          max: 2000,
-          duration: 60000 // 2000 tasks per minute
+    if (this.workerQueues.includes(this.taskQueue)) {
+      this.queueManager.createWorker(
+        this.taskQueue,
+        async (job) => await this.processTask(job),
+        {
+          concurrency: this.taskConcurrency, // Default: 100 tasks concurrently
+          limiter: {
+            max: 2000,
+            duration: 60000 // 2000 tasks per minute
+          }
         }
-      }
+      );
+    }
+
+    if (this.workerQueues.length === 0) {
+      logger.info('📤 WorkflowQueue running as producer only, no workers started');
+    }
+
+    // Tasks of distributed workflows run on the task queue
+    processus.setTaskDispatcher((workflow, taskName) =>
+      this.queueTask({ workflowId: workflow.id, taskName }, { attempts: 1 })
     );
 
     this.initialized = true;
@@ -58,15 +99,23 @@ export class WorkflowQueue {
       await this.initialize();
     }
 
+    // The instance id is assigned up front so a queued workflow can be
+    // tracked (and cancelled) before a worker picks it up
+    const workflow = this.prepareWorkflow(workflowDef);
+    const timestamp = Date.now();
+    const delay = options.delay || 0;
+
     const jobData = {
-      workflow: workflowDef,
+      workflow,
       defId: workflowDef.name || 'unnamed',
-      timestamp: Date.now(),
+      timestamp,
+      runAt: delay > 0 ? timestamp + delay : null,
       metadata: options.metadata || {}
     };
 
     const jobOptions = {
       priority: options.priority || 0,
+      delay,
       attempts: options.attempts || 3,
       backoff: {
         type: 'exponential',
@@ -83,11 +132,16 @@ export class WorkflowQueue {
         jobOptions
       );
 
-      logger.info(`📋 Queued workflow: ${workflowDef.name} (Job ID: ${job.id})`);
+      logger.info(
+        `📋 Queued workflow: ${workflowDef.name} (Job ID: ${job.id})` +
+        (jobData.runAt ? `, starts at ${new Date(jobData.runAt).toISOString()}` : '')
+      );
       return {
         jobId: job.id,
+        workflowId: workflow.id,
         queueName: this.workflowQueue,
-        workflowName: workflowDef.name
+        workflowName: workflowDef.name,
+        runAt: jobData.runAt
       };
     } catch (error) {
       logger.error(`❌ Failed to queue workflow: ${error.message}`);
@@ -95,6 +149,15 @@ export class WorkflowQueue {
     }
   }
 
+  // Instance as queued: its id, and whether its tasks run on the task queue
+  prepareWorkflow(workflowDef) {
+    const workflow = { ...workflowDef, id: workflowDef.id || uuidv4() };
+    if (this.distributedTasks) {
+      workflow.distributed = true;
+    }
+    return workflow;
+  }
+
   // Queue multiple workflows in bulk
   async queueWorkflowsBulk(workflows, options = {}) {
     if (!this.initialized) {
@@ -104,7 +167,7 @@ export class WorkflowQueue {
     const jobs = workflows.map((workflow, index) => ({
       name: `workflow-${workflow.name || index}`,
       data: {
-        workflow,
+        workflow: this.prepareWorkflow(workflow),
         defId: workflow.name || 'unnamed',
         timestamp: Date.now()
       },
@@ -122,6 +185,7 @@ export class WorkflowQueue {
       logger.info(`📋 Queued ${addedJobs.length} workflows in bulk`);
       return addedJobs.map(job => ({
         jobId: job.id,
+        workflowId: job.data.workflow.id,
         workflowName: job.data.workflow.name
       }));
     } catch (error) {
@@ -154,7 +218,86 @@ export class WorkflowQueue {
     });
   }
 
-  // Queue individual task
+  // Register a schedule's repeatable job, or drop it once it has no runs left
+  async addSchedule(schedule) {
+    const schedulerId = `${SCHEDULER_PREFIX}${schedule.id}`;
+
+    if (schedule.nextRunAt === null) {
+      await this.queueManager.removeScheduler(this.workflowQueue, schedulerId);
+      return;
+    }
+
+    await this.queueManager.upsertScheduler(
+      this.workflowQueue,
+      schedulerId,
+      {
+        pattern: schedule.cron,
+        tz: schedule.timezone || undefined,
+        startDate: schedule.startAt !== null && schedule.startAt > Date.now() ? schedule.startAt : undefined,
+        endDate: schedule.endAt !== null ? schedule.endAt : undefined
+      },
+      { name: SCHEDULED_RUN, data: { scheduleId: schedule.id } }
+    );
+  }
+
+  // Remove a schedule's repeatable job
+  async removeSchedule(scheduleId) {
+    await this.queueManager.removeScheduler(this.workflowQueue, `${SCHEDULER_PREFIX}${scheduleId}`);
+  }
+
+  // Make the repeatable jobs match the stored schedules: register them all
+  // and drop those of schedules deleted while this node was down
+  async syncSchedules(stored) {
+    for (const schedule of stored) {
+      await this.addSchedule(schedule);
+    }
+
+    const known = new Set(stored.map((schedule) => `${SCHEDULER_PREFIX}${schedule.id}`));
+    const registered = await this.queueManager.getSchedulerIds(this.workflowQueue);
+    for (const schedulerId of registered) {
+      if (schedulerId.startsWith(SCHEDULER_PREFIX) && !known.has(schedulerId)) {
+        await this.queueManager.removeScheduler(this.workflowQueue, schedulerId);
+      }
+    }
+
+    logger.info(`📅 Synced ${stored.length} schedule(s)`);
+  }
+
+  // A schedule fired: queue a run of its definition and record it
+  async processScheduledRun(job) {
+    const { scheduleId } = job.data;
+    const call = (fn, ...args) => new Promise((resolve, reject) => {
+      fn(...args, (err, result) => (err ? reject(err) : resolve(result)));
+    });
+
+    let schedule;
+    try {
+      schedule = await call(schedules.getSchedule, scheduleId);
+    } catch (err) {
+      if (err.code !== 'SCHEDULE_NOT_FOUND') throw err;
+      logger.warn(`⚠️ Schedule ${scheduleId} no longer exists, removing its repeatable job`);
+      await this.removeSchedule(scheduleId);
+      return { scheduleId, status: 'removed' };
+    }
+
+    let definition;
+    try {
+      definition = await call(schedules.prepareRun, schedule);
+    } catch (err) {
+      // A missing definition or bad inputs will not fix themselves on retry
+      logger.error(`❌ Scheduled run of ${schedule.definition} could not start: ${err.message}`);
+      await call(schedules.recordRun, schedule, { error: err });
+      return { scheduleId, status: 'failed', error: err.message };
+    }
+
+    const queued = await this.queueWorkflow(definition, { metadata: { scheduleId } });
+    await call(schedules.recordRun, schedule, { workflowId: queued.workflowId });
+
+    logger.info(`🗓️ Schedule ${scheduleId} queued ${schedule.definition} (ID: ${queued.workflowId})`);
+    return { scheduleId, status: 'queued', workflowId: queued.workflowId };
+  }
+
+  // Queue individual task: { workflowId, taskName } of a distributed workflow
   async queueTask(taskData, options = {}) {
     if (!this.initialized) {
       await this.initialize();
@@ -184,22 +327,65 @@ export class WorkflowQueue {
     }
   }
 
-  // Process task job
+  // Process task job: run the task's handler here, then apply the result to
+  // the saved workflow and dispatch whatever can run next
   async processTask(job) {
-    const { workflowId, taskName, task } = job.data;
-    
+    const { workflowId, taskName } = job.data;
+
     logger.debug(`⚙️ Processing task: ${taskName} (Job ${job.id})`);
 
-    // Task processing logic would go here
-    // This is a placeholder - actual implementation depends on your task handlers
-    
+    const task = await new Promise((resolve, reject) => {
+      processus.runQueuedTask(workflowId, taskName, (err, settled) => {
+        if (err) reject(err);
+        else resolve(settled);
+      });
+    });
+
+    if (!task) {
+      return { workflowId, taskName, status: 'skipped' };
+    }
+
+    const workflow = await this.withWorkflowLock(workflowId, () => new Promise((resolve, reject) => {
+      processus.completeQueuedTask(workflowId, taskName, task, (err, wf) => {
+        // A failed task fails the workflow, it is not a failed job
+        if (err && !wf) reject(err);
+        else resolve(wf);
+      });
+    }));
+
+    if (workflow.status !== 'open') {
+      logger.info(`✅ Workflow ${workflowId} finished with status [${workflow.status}]`);
+    }
+
     return {
+      workflowId,
       taskName,
-      status: 'completed',
-      workflowId
+      status: task.status,
+      workflowStatus: workflow.status
     };
   }
 
+  // Run fn holding the workflow's lock in the queue backend, so task results
+  // of one workflow are applied one at a time across all workers
+  async withWorkflowLock(workflowId, fn) {
+    const key = `processus:lock:${workflowId}`;
+    const token = uuidv4();
+    const deadline = Date.now() + LOCK_WAIT;
+
+    while (!await this.queueManager.acquireLock(key, token, LOCK_TTL)) {
+      if (Date.now() > deadline) {
+        throw new Error(`Timed out waiting for the lock on workflow ${workflowId}`);
+      }
+      await new Promise((resolve) => setTimeout(resolve, 50));
+    }
+
+    try {
+      return await fn();
+    } finally {
+      await this.queueManager.releaseLock(key, token);
+    }
+  }
+
   // Get workflow job status
   async getJobStatus(jobId) {
     const queue = this.queueManager.queues.get(this.workflowQueue);
@@ -230,6 +416,48 @@ export class WorkflowQueue {
     };
   }
 
+  // Remove a workflow that is still waiting to be processed
+  // Returns the queued workflow definition, or null if no pending job has it
+  async removePendingWorkflow(workflowId) {
+    const queue = this.queueManager.queues.get(this.workflowQueue);
+    if (!queue) {
+      throw new Error('Workflow queue not initialized');
+    }
+
+    const jobs = await queue.getJobs(['waiting', 'delayed', 'prioritized', 'paused']);
+    const job = jobs.find(j => j.data && j.data.workflow && j.data.workflow.id === workflowId);
+    if (!job) {
+      return null;
+    }
+
+    await job.remove();
+    logger.info(`🗑️ Removed queued workflow ${workflowId} (Job ID: ${job.id})`);
+    return job.data.workflow;
+  }
+
+  // Workflows queued to start later, soonest first
+  async getDelayedWorkflows() {
+    const queue = this.queueManager.queues.get(this.workflowQueue);
+    if (!queue) {
+      throw new Error('Workflow queue not initialized');
+    }
+
+    // Scheduled runs and failed attempts waiting out their backoff are
+    // delayed jobs too, but not delayed starts
+    const jobs = await queue.getJobs(['delayed']);
+    return jobs
+      .filter(job => job.data && job.data.workflow && job.data.runAt && !job.attemptsMade)
+      .map(job => ({
+        jobId: job.id,
+        workflowId: job.data.workflow.id,
+        workflowName: job.data.workflow.name,
+        priority: job.opts.priority || 0,
+        queuedAt: job.data.timestamp,
+        runAt: job.data.runAt
+      }))
+      .sort((a, b) => a.runAt - b.runAt);
+  }
+
   // Get queue statistics
   async getStats() {
     return await this.queueManager.getAllStats();
@@ -258,6 +486,11 @@ export class WorkflowQueue {
     await this.queueManager.cleanQueue(this.taskQueue, grace);
   }
 
+  // Stop taking jobs and wait for the active ones to finish
+  async drain() {
+    await this.queueManager.closeWorkers();
+  }
+
   // Close all connections
   async close() {
     await this.queueManager.close();
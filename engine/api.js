@@ -558,6 +558,9 @@
 
 import logger from './logger.js';
 import { ProcessusEngine } from './ProcessusEngine.js';
+import * as secrets from './secrets/secrets.js';
+import * as validator from './validator.js';
+import * as handlers from './handlers.js';
 
 // Create engine instance
 let engine = null;
@@ -585,7 +588,7 @@ export async function executeAsync(workflow, options = {}) {
   if (!engine) {
     await init();
   }
-  return await engine.executeWorkflow(workflow, options);
+  return engine.toResult(await engine.executeWorkflow(workflow, options));
 }
 
 // Execute with callback
@@ -600,11 +603,11 @@ export async function executeWithRetryAsync(workflow, fallback = null) {
   if (!engine) {
     await init();
   }
-  return await engine.executeWorkflow(workflow, {
+  return engine.toResult(await engine.executeWorkflow(workflow, {
     retry: true,
     fallback,
     useQueue: false
-  });
+  }));
 }
 
 // Queue workflow for execution
@@ -612,10 +615,10 @@ export async function queueWorkflowAsync(workflow, options = {}) {
   if (!engine) {
     await init({ useQueue: true });
   }
-  return await engine.executeWorkflow(workflow, {
+  return engine.toResult(await engine.executeWorkflow(workflow, {
     ...options,
     useQueue: true
-  });
+  }));
 }
 
 // Queue workflow with callback
@@ -625,6 +628,21 @@ export function queueWorkflow(workflow, options, callback) {
     .catch(err => callback(err));
 }
 
+// List workflows queued to start later
+export async function listDelayedWorkflowsAsync() {
+  if (!engine) {
+    await init();
+  }
+  return await engine.listDelayedWorkflows();
+}
+
+// List delayed workflows with callback
+export function listDelayedWorkflows(callback) {
+  listDelayedWorkflowsAsync()
+    .then(delayed => callback(null, delayed))
+    .catch(err => callback(err));
+}
+
 // Execute bulk workflows
 export async function executeBulkAsync(workflows, options = {}) {
   if (!engine) {
@@ -648,6 +666,38 @@ export function registerFallback(workflowName, fallbackFn) {
   engine.registerFallback(workflowName, fallbackFn);
 }
 
+// Register a secrets provider for $secret[name] references
+export function registerSecretsProvider(name, provider) {
+  secrets.registerSecretsProvider(name, provider);
+}
+
+// Register a handler tasks can name directly, e.g. handler: "slack"
+export function registerHandler(name, fn, options) {
+  handlers.registerHandler(name, fn, options);
+}
+
+// Names of the available handlers (builtin:*, registered and plugin handlers)
+export function listHandlers() {
+  return handlers.listHandlers();
+}
+
+// Validate a workflow definition (object, JSON or YAML text) without running it:
+// { valid, problems: [{ path, message, line }] }. Needs no engine.
+export async function validateDefinitionAsync(definition, options = {}) {
+  return await validator.validateDefinition(definition, options);
+}
+
+// Validate a workflow definition with callback
+export function validateDefinition(definition, options, callback) {
+  if (typeof options === 'function') {
+    callback = options;
+    options = {};
+  }
+  validateDefinitionAsync(definition, options)
+    .then(result => callback(null, result))
+    .catch(err => callback(err));
+}
+
 // Get workflow status
 export async function getWorkflowStatusAsync(workflowIdOrJobId, isJobId = false) {
   if (!engine) {
@@ -668,6 +718,21 @@ export function getWorkflowStatus(workflowIdOrJobId, isJobId, callback) {
     .catch(err => callback(err));
 }
 
+// Get the outputs of a workflow instance: { workflowId, name, status, outputs }
+export async function getWorkflowOutputsAsync(workflowId) {
+  if (!engine) {
+    await init();
+  }
+  return await engine.getWorkflowOutputs(workflowId);
+}
+
+// Get workflow outputs with callback
+export function getWorkflowOutputs(workflowId, callback) {
+  getWorkflowOutputsAsync(workflowId)
+    .then(result => callback(null, result))
+    .catch(err => callback(err));
+}
+
 // Get list of workflows
 export async function getWorkflowsAsync(query = {}) {
   if (!engine) {
@@ -687,6 +752,148 @@ export function getWorkflows(query, callback) {
     .catch(err => callback(err));
 }
 
+// Cancel a queued, running or paused workflow
+export async function cancelWorkflowAsync(workflowId, reason) {
+  if (!engine) {
+    await init();
+  }
+  return await engine.cancelWorkflow(workflowId, reason);
+}
+
+// Cancel workflow with callback
+export function cancelWorkflow(workflowId, reason, callback) {
+  if (typeof reason === 'function') {
+    callback = reason;
+    reason = undefined;
+  }
+  cancelWorkflowAsync(workflowId, reason)
+    .then(workflow => callback(null, workflow))
+    .catch(err => callback(err));
+}
+
+// Resume a paused task and continue its workflow
+export async function resumeTaskAsync(workflowId, taskName, parameters = {}) {
+  if (!engine) {
+    await init();
+  }
+  return await engine.resumeTask(workflowId, taskName, parameters);
+}
+
+// Resume task with callback
+export function resumeTask(workflowId, taskName, parameters, callback) {
+  if (typeof parameters === 'function') {
+    callback = parameters;
+    parameters = {};
+  }
+  resumeTaskAsync(workflowId, taskName, parameters)
+    .then(workflow => callback(null, workflow))
+    .catch(err => callback(err));
+}
+
+// Restart a finished workflow; options { mode: 'from-failed' | 'from-task' | 'all', task, reason }
+export async function restartWorkflowAsync(workflowId, options = {}) {
+  if (!engine) {
+    await init();
+  }
+  return await engine.restartWorkflow(workflowId, options);
+}
+
+// Restart workflow with callback
+export function restartWorkflow(workflowId, options, callback) {
+  if (typeof options === 'function') {
+    callback = options;
+    options = {};
+  }
+  restartWorkflowAsync(workflowId, options)
+    .then(workflow => callback(null, workflow))
+    .catch(err => callback(err));
+}
+
+// Run a saved definition (by name, or a definition object to save) on a cron
+// schedule; options { cron, timezone, inputs, startAt, endAt }
+export async function scheduleWorkflowAsync(definition, options = {}) {
+  if (!engine) {
+    await init({ useQueue: true });
+  }
+  return await engine.scheduleWorkflow(definition, options);
+}
+
+// Schedule workflow with callback
+export function scheduleWorkflow(definition, options, callback) {
+  scheduleWorkflowAsync(definition, options)
+    .then(schedule => callback(null, schedule))
+    .catch(err => callback(err));
+}
+
+// List schedules with their last and next run times
+export async function listSchedulesAsync() {
+  if (!engine) {
+    await init();
+  }
+  return await engine.listSchedules();
+}
+
+// List schedules with callback
+export function listSchedules(callback) {
+  listSchedulesAsync()
+    .then(list => callback(null, list))
+    .catch(err => callback(err));
+}
+
+// Delete a schedule
+export async function unscheduleWorkflowAsync(scheduleId) {
+  if (!engine) {
+    await init();
+  }
+  return await engine.unscheduleWorkflow(scheduleId);
+}
+
+// Delete a schedule with callback
+export function unscheduleWorkflow(scheduleId, callback) {
+  unscheduleWorkflowAsync(scheduleId)
+    .then(schedule => callback(null, schedule))
+    .catch(err => callback(err));
+}
+
+// List approval requests waiting for a decision
+export async function listApprovalsAsync() {
+  if (!engine) {
+    await init();
+  }
+  return await engine.listApprovals();
+}
+
+// List approvals with callback
+export function listApprovals(callback) {
+  listApprovalsAsync()
+    .then(approvals => callback(null, approvals))
+    .catch(err => callback(err));
+}
+
+// Approve a pending approval task
+export async function approveTaskAsync(workflowId, taskName, actor, comment) {
+  if (!engine) {
+    await init();
+  }
+  return await engine.decideApproval(workflowId, taskName, { decision: 'approved', actor, comment });
+}
+
+// Reject a pending approval task
+export async function rejectTaskAsync(workflowId, taskName, actor, comment) {
+  if (!engine) {
+    await init();
+  }
+  return await engine.decideApproval(workflowId, taskName, { decision: 'rejected', actor, comment });
+}
+
+// Record overdue approvals as expired
+export async function expireApprovalsAsync() {
+  if (!engine) {
+    await init();
+  }
+  return await engine.expireApprovals();
+}
+
 // Get statistics
 export async function getStatsAsync() {
   if (!engine) {
@@ -787,13 +994,41 @@ export default {
   // Queue operations
   queueWorkflow,
   queueWorkflowAsync,
+  listDelayedWorkflows,
+  listDelayedWorkflowsAsync,
   
   // Workflow management
   getWorkflowStatus,
   getWorkflowStatusAsync,
+  getWorkflowOutputs,
+  getWorkflowOutputsAsync,
   getWorkflows,
   getWorkflowsAsync,
+  cancelWorkflow,
+  cancelWorkflowAsync,
+  resumeTask,
+  resumeTaskAsync,
+  restartWorkflow,
+  restartWorkflowAsync,
+  scheduleWorkflow,
+  scheduleWorkflowAsync,
+  listSchedules,
+  listSchedulesAsync,
+  unscheduleWorkflow,
+  unscheduleWorkflowAsync,
   registerFallback,
+  registerSecretsProvider,
+  registerHandler,
+  listHandlers,
+  validateDefinition,
+  validateDefinitionAsync,
+  
+  // Approvals
+  listApprovals,
+  listApprovalsAsync,
+  approveTaskAsync,
+  rejectTaskAsync,
+  expireApprovalsAsync,
   
   // System operations
   getStats,
@@ -0,0 +1,197 @@
+// engine/approvals.js
+// Human approval tasks: the pending-approval inbox, decisions and expiry
+// for tasks paused by taskHandlers/approvalHandler.js
+
+import asyncLib from 'async';
+import logger from './logger.js';
+import store from './persistence/store.js';
+import { scanAllTasks, continuePausedTask, workflowError, markSkipped, isBlocking, usesDependencies } from './processus.js';
+
+const DECISIONS = ['approved', 'rejected', 'expired'];
+
+/**
+ * List the approval requests still waiting for a decision
+ * @param {Function} callback - A function(err, approvals[])
+ */
+export function listApprovals(callback) {
+  store.getWorkflows({ status: 'open' }, (err, workflows) => {
+    if (err) {
+      return callback(err);
+    }
+
+    const now = Date.now();
+    const approvals = [];
+
+    for (const workflow of workflows || []) {
+      scanAllTasks(workflow.tasks, true, (task, name) => {
+        if (isPendingApproval(task)) {
+          const approval = task.parameters.approval;
+          approvals.push({
+            workflowId: workflow.id,
+            workflowName: workflow.name,
+            task: name,
+            ...approval,
+            expired: approval.expiresAt !== null && approval.expiresAt <= now
+          });
+        }
+        return true;
+      });
+    }
+
+    callback(null, approvals);
+  });
+}
+
+/**
+ * Decide a pending approval and continue the workflow
+ * An approval past its expiresAt is recorded as expired whatever the decision.
+ * @param {string} workflowId - The workflow instance id
+ * @param {string} taskName - The approval task
+ * @param {Object} decision - { decision: approved|rejected|expired, actor, comment }
+ * @param {Function} callback - A function(err, workflow)
+ */
+export function decideApproval(workflowId, taskName, { decision, actor = null, comment = null }, callback) {
+  if (!DECISIONS.includes(decision)) {
+    return callback(workflowError(`Unknown approval decision [${decision}]`, 'INVALID_DECISION'));
+  }
+
+  continuePausedTask(workflowId, taskName, (task, workflow) => {
+    if (!isPendingApproval(task)) {
+      throw workflowError(`Task [${taskName}] is not waiting for approval`, 'NOT_AN_APPROVAL');
+    }
+
+    const approval = task.parameters.approval;
+    const now = Date.now();
+    const outcome = approval.expiresAt !== null && approval.expiresAt <= now ? 'expired' : decision;
+
+    if (outcome !== 'expired' && approval.approvers.length > 0 && !approval.approvers.includes(actor)) {
+      throw workflowError(
+        `[${actor}] is not allowed to decide task [${taskName}], approvers: ${approval.approvers.join(', ')}`,
+        'APPROVER_NOT_ALLOWED'
+      );
+    }
+
+    approval.decision = outcome;
+    approval.actor = outcome === 'expired' ? null : actor;
+    approval.comment = comment;
+    approval.decidedAt = now;
+
+    logger.info(`✋ Approval [${taskName}] of workflow [${workflowId}] ${outcome}${approval.actor ? ` by ${approval.actor}` : ''}`);
+
+    const onReject = task.onReject === undefined ? [] : [].concat(task.onReject);
+
+    if (outcome === 'approved') {
+      skipTasks(workflow, onReject);
+      return null;
+    }
+
+    if (onReject.length > 0) {
+      skipTasks(workflow, findDependents(workflow, taskName, onReject));
+      return null;
+    }
+
+    return new Error(outcome === 'expired'
+      ? `Approval [${taskName}] expired without a decision`
+      : `Approval [${taskName}] was rejected${actor ? ` by ${actor}` : ''}${comment ? `: ${comment}` : ''}`);
+  }, callback);
+}
+
+/**
+ * Record every overdue approval as expired
+ * @param {Function} callback - A function(err, expiredCount)
+ */
+export function expireApprovals(callback) {
+  listApprovals((err, approvals) => {
+    if (err) {
+      return callback(err);
+    }
+
+    const overdue = approvals.filter((approval) => approval.expired);
+
+    asyncLib.eachSeries(overdue, (approval, next) => {
+      decideApproval(approval.workflowId, approval.task, { decision: 'expired' }, (decideErr) => {
+        if (decideErr && decideErr.code) {
+          logger.warn(`Unable to expire approval [${approval.task}]: ${decideErr.message}`);
+        }
+        next();
+      });
+    }, () => callback(null, overdue.length));
+  });
+}
+
+// Paused by approvalHandler and not yet decided
+function isPendingApproval(task) {
+  return task.status === 'paused' &&
+    !!task.parameters &&
+    !!task.parameters.approval &&
+    task.parameters.approval.decision === 'pending';
+}
+
+// Skip the named tasks (and their children)
+function skipTasks(workflow, names) {
+  scanAllTasks(workflow.tasks, true, (task, name) => {
+    if (names.includes(name)) {
+      markSkipped(task);
+    }
+    return true;
+  });
+}
+
+// Tasks the executor would only start after taskName, leaving out the
+// onReject branch: those depending on it, directly or transitively, when the
+// workflow uses dependsOn, otherwise those it holds back by task order
+function findDependents(workflow, taskName, onReject) {
+  if (!usesDependencies(workflow)) {
+    return (findOrderedDependents(workflow.tasks, taskName) || []).filter((name) => !onReject.includes(name));
+  }
+
+  const tasks = {};
+  scanAllTasks(workflow.tasks, true, (task, name) => {
+    tasks[name] = task;
+    return true;
+  });
+
+  const dependents = [];
+  const pending = [taskName];
+
+  while (pending.length > 0) {
+    const current = pending.shift();
+
+    for (const [name, task] of Object.entries(tasks)) {
+      const deps = task.dependsOn === undefined ? [] : [].concat(task.dependsOn);
+      if (deps.includes(current) && !onReject.includes(name) && !dependents.includes(name)) {
+        dependents.push(name);
+        pending.push(name);
+      }
+    }
+  }
+
+  return dependents;
+}
+
+// Siblings after taskName when it is blocking, and after each blocking
+// ancestor, which only completes once taskName has; null if not found
+function findOrderedDependents(tasks, taskName) {
+  const names = Object.keys(tasks || {});
+
+  for (const [i, name] of names.entries()) {
+    const task = tasks[name];
+    if (!task || typeof task !== 'object') {
+      continue;
+    }
+
+    const dependents = name === taskName ? [] : findOrderedDependents(task.tasks, taskName);
+
+    if (dependents) {
+      return isBlocking(task) ? dependents.concat(names.slice(i + 1)) : dependents;
+    }
+  }
+
+  return null;
+}
+
+export default {
+  listApprovals,
+  decideApproval,
+  expireApprovals
+};
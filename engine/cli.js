@@ -235,8 +235,13 @@
 
 import logger from './logger.js';
 import cli from 'cli';
+import fs from 'fs/promises';
+import yaml from 'js-yaml';
 import store from './persistence/store.js';
 import { ProcessusEngine } from './ProcessusEngine.js';
+import { encryptSecrets } from './secrets/encryptedFile.js';
+import { redactSecrets } from './redact.js';
+import { validateDefinition } from './validator.js';
 import title from './title.js';
 
 export default async function() {
@@ -248,7 +253,7 @@ export default async function() {
     id: ['i', 'Workflow ID', 'string', null],
     rewind: ['r', 'History rewind (0=current, 1=previous, etc.)', 'number', 0],
     delete: ['d', 'Delete a workflow instance', 'string', null],
-    deleteALL: ['', 'Delete ALL workflow instances', 'bool', false],
+    deleteALL: ['', 'Delete ALL workflow instances (definitions and schedules are kept)', 'bool', false],
     
     // NEW: Queue options
     queue: ['q', 'Use queue for execution', 'bool', false],
@@ -257,7 +262,21 @@ export default async function() {
     stats: ['s', 'Show queue statistics', 'bool', false],
     retry: ['', 'Retry failed workflows', 'bool', false],
     pause: ['', 'Pause workflow processing', 'bool', false],
-    resume: ['', 'Resume workflow processing', 'bool', false]
+    resume: ['', 'Resume workflow processing', 'bool', false],
+    cancel: ['', 'Cancel a workflow instance (with -q also removes it from the queue)', 'string', null],
+    reason: ['', 'Reason recorded when cancelling', 'string', null],
+    input: ['', 'Workflow input as key=value (repeatable, values are JSON or text)', 'string', null],
+    'input-file': ['', 'JSON or YAML file of workflow inputs', 'path', null],
+    inputFile: ['', 'Same as --input-file', 'path', null],
+    queues: ['', 'Queues a worker consumes, comma separated (worker command)', 'string', 'workflows,workflow-tasks'],
+    concurrency: ['', 'Jobs a worker runs at once on each queue (worker command)', 'number', null],
+    cron: ['', 'Cron pattern of a schedule, e.g. "0 2 * * *" (schedule add)', 'string', null],
+    timezone: ['', 'Timezone the cron pattern is read in (schedule add)', 'string', null],
+    startAt: ['', 'First date a schedule may run (schedule add)', 'string', null],
+    endAt: ['', 'Last date a schedule may run (schedule add)', 'string', null],
+    delay: ['', 'Queue the workflow to start after a delay, e.g. "10m"', 'string', null],
+    runAt: ['', 'Queue the workflow to start at a date, e.g. "2025-01-01T09:00:00Z"', 'string', null],
+    encryptSecrets: ['', 'Encrypt a plain JSON secrets file into SECRETS_FILE with SECRETS_MASTER_KEY', 'string', null]
   });
 
   cli.main(async (args, options) => {
@@ -271,10 +290,43 @@ export default async function() {
       }
       logger.level = options.log;
 
-      // Initialize engine
-      const engine = new ProcessusEngine({
-        useQueue: options.queue || options.stats || options.retry || options.pause || options.resume
-      });
+      // Encrypting secrets needs no engine
+      if (options.encryptSecrets !== null) {
+        await handleEncryptSecrets(options.encryptSecrets);
+        return;
+      }
+
+      // Validating a definition needs no engine: processus-cli validate <file>
+      if (args[0] === 'validate') {
+        await handleValidate(args[1] || options.file);
+        return;
+      }
+
+      // Run queue workers only: processus-cli worker --queues ... --concurrency N
+      if (args[0] === 'worker') {
+        await handleWorker(options);
+        return;
+      }
+
+      // Scheduled runs: processus-cli schedule add|list|rm
+      if (args[0] === 'schedule') {
+        await handleSchedule(args.slice(1), options);
+        return;
+      }
+
+      // Workflows queued to start later: processus-cli delayed
+      if (args[0] === 'delayed') {
+        await handleDelayed();
+        return;
+      }
+
+      // Initialize engine; queued jobs are left to worker processes
+      const delayed = options.delay !== null || options.runAt !== null;
+      const useQueue = options.queue || delayed || options.stats || options.retry || options.pause || options.resume;
+      if (useQueue) {
+        requireSharedQueue();
+      }
+      const engine = new ProcessusEngine({ useQueue, queueRole: 'producer' });
       await engine.initialize();
 
       // Handle queue operations
@@ -302,6 +354,12 @@ export default async function() {
         return;
       }
 
+      // Handle CANCEL
+      if (options.cancel !== null) {
+        await handleCancel(engine, options.cancel, options.reason);
+        return;
+      }
+
       // Handle DELETE ALL
       if (options.deleteALL === true) {
         await handleDeleteAll(store);
@@ -340,6 +398,16 @@ export default async function() {
   });
 }
 
+// Queue commands only enqueue or inspect jobs that other processes run, and
+// the memory backend keeps its queue inside the one process running it
+function requireSharedQueue() {
+  if ((process.env.QUEUE_BACKEND || 'bullmq') === 'memory') {
+    console.error('✘ Queue commands of the CLI need QUEUE_BACKEND=bullmq, the memory queue only exists inside the server that runs it');
+    console.error('   Run the workflow without -q to execute it in this process, or use the REST API of that server');
+    process.exit(1);
+  }
+}
+
 // Show queue statistics
 async function handleStats(engine) {
   try {
@@ -391,6 +459,221 @@ async function handleRetry(engine) {
   }
 }
 
+// Cancel a workflow instance
+async function handleCancel(engine, workflowId, reason) {
+  try {
+    const workflow = await engine.cancelWorkflow(workflowId, reason || undefined);
+    logger.info(`✅ Workflow cancelled: ${workflowId}`);
+    logger.info(`   Reason: ${workflow.cancelReason}`);
+    await engine.shutdown();
+    process.exit(0);
+  } catch (err) {
+    logger.error(`❌ Failed to cancel: ${err.message}`);
+    process.exit(1);
+  }
+}
+
+// List workflows queued to start later; cancel one with --cancel <id> -q
+async function handleDelayed() {
+  try {
+    requireSharedQueue();
+    const engine = new ProcessusEngine({ useQueue: true, queueRole: 'producer' });
+    await engine.initialize();
+    const delayed = await engine.listDelayedWorkflows();
+
+    if (delayed.length === 0) {
+      console.log('No delayed workflows');
+    }
+    for (const run of delayed) {
+      const minutes = Math.max(0, Math.round((run.runAt - Date.now()) / 60000));
+      console.log(`${run.workflowId}  ${run.workflowName}  starts ${new Date(run.runAt).toISOString()} (in ${minutes} min)`);
+    }
+    await engine.shutdown();
+    process.exit(0);
+  } catch (err) {
+    logger.error(`❌ Failed to list delayed workflows: ${err.message}`);
+    process.exit(1);
+  }
+}
+
+// Run workers until SIGTERM/SIGINT, then stop taking jobs and let the active
+// ones finish; a second signal exits at once
+async function handleWorker(options) {
+  try {
+    const queues = options.queues.split(',').map((name) => name.trim()).filter(Boolean);
+    const concurrency = options.concurrency === null ? undefined : options.concurrency;
+    if (concurrency !== undefined && !(Number.isInteger(concurrency) && concurrency > 0)) {
+      logger.error('✘ --concurrency must be a positive whole number');
+      process.exit(1);
+      return;
+    }
+
+    requireSharedQueue();
+    const engine = new ProcessusEngine({
+      useQueue: true,
+      queueRole: 'worker',
+      workerQueues: queues,
+      workflowConcurrency: concurrency,
+      taskConcurrency: concurrency
+    });
+    await engine.initialize();
+    logger.info(`👷 Worker consuming ${queues.join(', ')}, stop it with SIGTERM`);
+
+    let stopping = false;
+    const stop = async (signal) => {
+      if (stopping) {
+        logger.warn(`⚠️ ${signal} received again, exiting without waiting for active jobs`);
+        process.exit(1);
+      }
+      stopping = true;
+      logger.info(`🛑 ${signal} received`);
+
+      try {
+        await engine.drain();
+        await engine.shutdown();
+        process.exit(0);
+      } catch (err) {
+        logger.error(`❌ Failed to stop worker: ${err.message}`);
+        process.exit(1);
+      }
+    };
+
+    process.on('SIGTERM', () => stop('SIGTERM'));
+    process.on('SIGINT', () => stop('SIGINT'));
+  } catch (err) {
+    logger.error(`❌ Failed to start worker: ${err.message}`);
+    process.exit(1);
+  }
+}
+
+// Manage schedules:
+//   schedule add <definition name> --cron "..."   (or -f <file> to save and schedule it)
+//   schedule list
+//   schedule rm <id>
+async function handleSchedule([command, target], options) {
+  try {
+    if (command === 'list') {
+      const engine = new ProcessusEngine({ useQueue: false });
+      await engine.initialize();
+      const list = await engine.listSchedules();
+
+      if (list.length === 0) {
+        console.log('No schedules');
+      }
+      for (const schedule of list) {
+        const when = (time) => (time ? new Date(time).toISOString() : '-');
+        console.log(`${schedule.id}  ${schedule.definition}  "${schedule.cron}"${schedule.timezone ? ` ${schedule.timezone}` : ''}`);
+        console.log(`  runs: ${schedule.runs}  last: ${when(schedule.lastRunAt)}  next: ${when(schedule.nextRunAt)}`);
+        if (schedule.lastError) {
+          console.log(`  last error: ${schedule.lastError}`);
+        }
+      }
+      await engine.shutdown();
+      process.exit(0);
+      return;
+    }
+
+    if (command === 'add') {
+      let definition = target;
+      if (options.file !== null) {
+        definition = await new Promise((resolve, reject) => {
+          store.loadDefinition(options.file, (err, workflow) => {
+            if (err) reject(err);
+            else resolve(workflow);
+          });
+        });
+      }
+      if (!definition || options.cron === null) {
+        logger.error('✘ Usage: processus-cli schedule add <definition name> | -f <file> --cron "<pattern>"');
+        process.exit(1);
+        return;
+      }
+
+      requireSharedQueue();
+      const engine = new ProcessusEngine({ useQueue: true, queueRole: 'producer' });
+      await engine.initialize();
+      const schedule = await engine.scheduleWorkflow(definition, {
+        cron: options.cron,
+        timezone: options.timezone || undefined,
+        inputs: await readInputs(options['input-file'] || options.inputFile),
+        startAt: options.startAt || undefined,
+        endAt: options.endAt || undefined
+      });
+
+      logger.info(`✅ Schedule created: ${schedule.id}`);
+      logger.info(`   Next run: ${schedule.nextRunAt ? new Date(schedule.nextRunAt).toISOString() : 'none'}`);
+      await engine.shutdown();
+      process.exit(0);
+      return;
+    }
+
+    if (command === 'rm' && target) {
+      requireSharedQueue();
+      const engine = new ProcessusEngine({ useQueue: true, queueRole: 'producer' });
+      await engine.initialize();
+      await engine.unscheduleWorkflow(target);
+      logger.info(`✅ Schedule removed: ${target}`);
+      await engine.shutdown();
+      process.exit(0);
+      return;
+    }
+
+    logger.error('✘ Usage: processus-cli schedule add|list|rm');
+    process.exit(1);
+  } catch (err) {
+    logger.error(`❌ Schedule ${command} failed: ${err.message}`);
+    (err.violations || []).forEach((violation) => logger.error(`   ${violation}`));
+    process.exit(1);
+  }
+}
+
+// Encrypt a plain JSON secrets file for the encrypted-file provider
+async function handleEncryptSecrets(plainFile) {
+  try {
+    const target = process.env.SECRETS_FILE || 'secrets.enc.json';
+    const plain = JSON.parse(await fs.readFile(plainFile, 'utf8'));
+    const encrypted = encryptSecrets(plain, process.env.SECRETS_MASTER_KEY);
+
+    await fs.writeFile(target, JSON.stringify(encrypted, null, 2), { encoding: 'utf8', mode: 0o600 });
+    logger.info(`✅ Encrypted ${plainFile} into ${target}, you can now delete the plain file`);
+    process.exit(0);
+  } catch (err) {
+    logger.error(`❌ Failed to encrypt secrets: ${err.message}`);
+    process.exit(1);
+  }
+}
+
+// Validate a definition file without running it
+async function handleValidate(filePath) {
+  try {
+    if (!filePath) {
+      logger.error('✘ Usage: processus-cli validate <file>');
+      process.exit(1);
+      return;
+    }
+
+    const text = await fs.readFile(filePath, 'utf8');
+    const format = /\.ya?ml$/i.test(filePath) ? 'yaml' : 'json';
+    const { valid, problems } = await validateDefinition(text, { format });
+
+    if (valid) {
+      console.log(`✅ ${filePath} is valid`);
+      process.exit(0);
+      return;
+    }
+
+    console.log(`✘ ${filePath} has ${problems.length} problem(s):`);
+    for (const problem of problems) {
+      const where = problem.line ? `line ${problem.line} ${problem.path}` : problem.path;
+      console.log(`  ${where}: ${problem.message}`);
+    }
+    process.exit(1);
+  } catch (err) {
+    logger.error(`❌ Failed to validate: ${err.message}`);
+    process.exit(1);
+  }
+}
+
 // Execute single workflow
 async function handleExecuteWorkflow(engine, filePath, options) {
   try {
@@ -412,19 +695,29 @@ async function handleExecuteWorkflow(engine, filePath, options) {
     const execOptions = {
       useQueue: options.queue,
       priority: options.priority,
-      retry: true
+      retry: true,
+      inputs: await readInputs(options['input-file'] || options.inputFile),
+      delay: options.delay,
+      runAt: options.runAt
     };
 
-    const result = await engine.executeWorkflow(workflowTaskJSON, execOptions);
+    const result = engine.toResult(await engine.executeWorkflow(workflowTaskJSON, execOptions));
     
     if (result.queued) {
       logger.info(`✅ Workflow queued successfully`);
       logger.info(`   Job ID: ${result.jobId}`);
+      logger.info(`   Workflow ID: ${result.workflowId}`);
       logger.info(`   Priority: ${options.priority}`);
+      if (result.runAt) {
+        logger.info(`   Starts at: ${new Date(result.runAt).toISOString()}`);
+      }
     } else {
       logger.info(`✅ Workflow completed successfully`);
-      logger.info(`   Workflow ID: ${result.id}`);
+      logger.info(`   Workflow ID: ${result.workflowId}`);
       logger.info(`   Status: ${result.status}`);
+      if (Object.keys(result.outputs).length > 0) {
+        logger.info(`   Outputs: ${JSON.stringify(result.outputs, null, 2)}`);
+      }
     }
 
     await engine.shutdown();
@@ -432,10 +725,52 @@ async function handleExecuteWorkflow(engine, filePath, options) {
 
   } catch (err) {
     logger.error(`✘ ${err.message}`);
+    (err.violations || []).forEach((violation) => logger.error(`   ${violation}`));
     process.exit(1);
   }
 }
 
+// Read workflow inputs from --input-file, overridden by each --input key=value
+// (the cli parser keeps only the last --input, so they are read from argv)
+async function readInputs(inputFile) {
+  let inputs = {};
+
+  if (inputFile) {
+    const text = await fs.readFile(inputFile, 'utf8');
+    inputs = /\.ya?ml$/i.test(inputFile) ? yaml.load(text) : JSON.parse(text);
+    if (!inputs || typeof inputs !== 'object' || Array.isArray(inputs)) {
+      throw new Error(`Input file ${inputFile} must contain an object`);
+    }
+  }
+
+  const argv = process.argv;
+  for (let i = 0; i < argv.length; i++) {
+    let pair;
+    if (argv[i] === '--input') {
+      pair = argv[++i];
+    } else if (argv[i].startsWith('--input=')) {
+      pair = argv[i].slice('--input='.length);
+    } else {
+      continue;
+    }
+
+    const separator = pair === undefined ? -1 : pair.indexOf('=');
+    if (separator < 1) {
+      throw new Error(`Invalid --input [${pair}], expected key=value`);
+    }
+
+    const key = pair.slice(0, separator);
+    const text = pair.slice(separator + 1);
+    try {
+      inputs[key] = JSON.parse(text);
+    } catch (parseErr) {
+      inputs[key] = text;
+    }
+  }
+
+  return inputs;
+}
+
 // Execute bulk workflows
 async function handleExecuteBulk(engine, filePath, options) {
   try {
@@ -526,7 +861,7 @@ async function handleGetInstance(store, instanceId, rewind) {
     }
 
     logger.level = 'info';
-    logger.info(JSON.stringify(workflow, null, 2));
+    logger.info(JSON.stringify(redactSecrets(workflow), null, 2));
     process.exit(0);
   } catch (err) {
     logger.error(`✘ ${err.message}`);
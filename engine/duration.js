@@ -0,0 +1,38 @@
+// engine/duration.js
+// Parse human friendly durations used in workflow definitions ("30s", "5m", 1500)
+
+const UNITS = {
+  ms: 1,
+  s: 1000,
+  m: 60 * 1000,
+  h: 60 * 60 * 1000,
+  d: 24 * 60 * 60 * 1000
+};
+
+/**
+ * Convert a duration to milliseconds
+ * Numbers (and numeric strings) are already milliseconds, strings may carry
+ * one of the units ms|s|m|h|d, e.g. "250ms", "30s", "1.5h"
+ * @param {number|string} value - The duration to convert
+ * @returns {number} - The duration in milliseconds
+ * @throws {Error} - When the value is not a valid, non-negative duration
+ */
+export function parseDuration(value) {
+  if (typeof value === 'number' && Number.isFinite(value) && value >= 0) {
+    return value;
+  }
+
+  if (typeof value === 'string') {
+    const match = value.trim().match(/^(\d+(?:\.\d+)?)\s*(ms|s|m|h|d)?$/i);
+    if (match) {
+      const unit = (match[2] || 'ms').toLowerCase();
+      return Math.round(parseFloat(match[1]) * UNITS[unit]);
+    }
+  }
+
+  throw new Error(`Invalid duration [${value}], expected milliseconds or a string such as "30s"`);
+}
+
+export default {
+  parseDuration
+};
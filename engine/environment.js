@@ -0,0 +1,49 @@
+// engine/environment.js
+// Decide which process environment variables a workflow can see as $[environment.NAME]
+
+/**
+ * Build the environment object of a workflow
+ * Only variables the workflow declares are exposed; without a declaration the
+ * operator allowlist ENV_EXPOSE is used. When ENV_EXPOSE is set it also caps
+ * what a workflow may declare, and ENV_HIDE always wins. All three are
+ * comma separated names where "*" matches any characters, e.g. "APP_*,REGION".
+ * @param {Array<string>} [declared] - Names (or patterns) declared by the workflow
+ * @param {Object} [env=process.env] - The environment to pick from
+ * @returns {Object} - The exposed variables
+ */
+export function resolveEnvironment(declared, env = process.env) {
+  const allow = parsePatterns(env.ENV_EXPOSE);
+  const deny = parsePatterns(env.ENV_HIDE) || [];
+  const wanted = declared || allow || [];
+
+  const environment = {};
+  for (const name of Object.keys(env)) {
+    if (matchesAny(name, wanted) && (allow === null || matchesAny(name, allow)) && !matchesAny(name, deny)) {
+      environment[name] = env[name];
+    }
+  }
+
+  return environment;
+}
+
+// Split a comma separated list into patterns, null when the variable is unset
+function parsePatterns(list) {
+  if (list === undefined) {
+    return null;
+  }
+  return list.split(',').map((pattern) => pattern.trim()).filter(Boolean);
+}
+
+function matchesAny(name, patterns) {
+  return patterns.some((pattern) => {
+    if (!pattern.includes('*')) {
+      return pattern === name;
+    }
+    const source = pattern.split('*').map((part) => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*');
+    return new RegExp(`^${source}$`).test(name);
+  });
+}
+
+export default {
+  resolveEnvironment
+};
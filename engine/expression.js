@@ -0,0 +1,428 @@
+// engine/expression.js
+// A small, safe (no eval) expression language for skipIf, errorIf, runIf and
+// conditionalHandler conditions, e.g.
+//   $[tasks.a.parameters.count] > 5 && $[environment.MODE] == 'prod'
+//
+// Operands: numbers, 'single' or "double" quoted strings, true, false, null,
+//           [arrays], $[path] references and (parentheses)
+// Operators, loosest first:
+//   ||  or                      either side is true
+//   &&  and                     both sides are true
+//   !   not                     negation
+//   == != > >= < <=             comparison (numeric when both sides are numbers)
+//   in, not in, contains        membership in an array, string or object keys
+//   ??                          the right side when the left is null or missing
+//   exists                      the operand is neither null nor missing
+//   -                           negative number
+//
+// A condition with no operators, quotes or references at all, such as "yes"
+// or "TRUE", is a plain literal and keeps the truth value conditions had
+// before the language existed: true only when it reads "true".
+
+const COMPARISONS = ['==', '!=', '>', '>=', '<', '<='];
+const WORD_OPERATORS = ['and', 'or', 'not', 'in', 'contains', 'exists', 'true', 'false', 'null'];
+const LITERAL_WORDS = ['true', 'false', 'null'];
+
+// Parsed expressions by source, conditions are evaluated over and over
+const cache = new Map();
+
+/**
+ * Parse an expression
+ * @param {string} source - The expression
+ * @returns {Object} - The syntax tree
+ * @throws {Error} - When the expression is invalid
+ */
+export function parseExpression(source) {
+  if (cache.has(source)) {
+    return cache.get(source);
+  }
+
+  const parser = new Parser(source, tokenize(source));
+  const ast = parser.parseOr();
+  if (!parser.done()) {
+    parser.fail(`Unexpected ${describe(parser.peek())}`);
+  }
+
+  cache.set(source, ast);
+  return ast;
+}
+
+/**
+ * Evaluate an expression
+ * @param {string} source - The expression
+ * @param {Function} [resolve] - Returns the value of a $[path] reference
+ * @returns {*} - The result
+ * @throws {Error} - When the expression is invalid
+ */
+export function evaluateExpression(source, resolve = () => undefined) {
+  return evaluate(parseExpression(source), resolve);
+}
+
+/**
+ * Check if a condition string is a plain literal rather than an expression
+ * @param {string} source - The condition
+ * @returns {boolean} - True when it holds only words and numbers, none of
+ *   them an operator
+ */
+export function isLiteralCondition(source) {
+  return /^[\w\s.]*$/.test(source) && source.split(/\s+/).every((word) => {
+    const lower = word.toLowerCase();
+    return !WORD_OPERATORS.includes(lower) || LITERAL_WORDS.includes(lower);
+  });
+}
+
+/**
+ * Evaluate a condition to a boolean
+ * Strings are expressions, unless they are plain literals, which like
+ * anything else follow the truth rules below.
+ * @param {*} condition - A skipIf/errorIf/runIf value
+ * @param {Function} [resolve] - Returns the value of a $[path] reference
+ * @returns {boolean} - The outcome
+ */
+export function evaluateCondition(condition, resolve) {
+  if (typeof condition !== 'string' || isLiteralCondition(condition)) {
+    return truthy(condition);
+  }
+  return truthy(evaluateExpression(condition, resolve));
+}
+
+// ============================================
+// Tokenizer
+// ============================================
+function tokenize(source) {
+  const tokens = [];
+  let pos = 0;
+
+  const fail = (message) => {
+    throw new Error(`Invalid expression "${source}": ${message} at position ${pos}`);
+  };
+
+  while (pos < source.length) {
+    const rest = source.slice(pos);
+    const start = pos;
+    let match;
+
+    if ((match = rest.match(/^\s+/))) {
+      pos += match[0].length;
+    } else if (rest.startsWith('$[')) {
+      const end = source.indexOf(']', pos);
+      if (end === -1) fail('Unterminated $[ reference');
+      tokens.push({ type: 'ref', value: source.slice(pos + 2, end).trim(), pos: start });
+      pos = end + 1;
+    } else if ((match = rest.match(/^\d+(\.\d+)?/))) {
+      tokens.push({ type: 'num', value: Number(match[0]), pos: start });
+      pos += match[0].length;
+    } else if (rest[0] === '"' || rest[0] === "'") {
+      const quote = rest[0];
+      let value = '';
+      pos++;
+      while (pos < source.length && source[pos] !== quote) {
+        if (source[pos] === '\\' && pos + 1 < source.length) {
+          pos++;
+          value += { n: '\n', t: '\t', r: '\r' }[source[pos]] || source[pos];
+        } else {
+          value += source[pos];
+        }
+        pos++;
+      }
+      if (pos >= source.length) fail('Unterminated string');
+      pos++;
+      tokens.push({ type: 'str', value, pos: start });
+    } else if ((match = rest.match(/^(==|!=|>=|<=|&&|\|\||\?\?|[><!()[\],-])/))) {
+      tokens.push({ type: 'op', value: match[0], pos: start });
+      pos += match[0].length;
+    } else if ((match = rest.match(/^[A-Za-z_]\w*/))) {
+      const word = match[0].toLowerCase();
+      if (!WORD_OPERATORS.includes(word)) {
+        fail(`Unknown word '${match[0]}' (quote strings, reference data with $[path])`);
+      }
+      tokens.push({ type: 'word', value: word, pos: start });
+      pos += match[0].length;
+    } else {
+      fail(`Unexpected character '${rest[0]}'`);
+    }
+  }
+
+  return tokens;
+}
+
+function describe(token) {
+  return token ? `'${token.type === 'ref' ? `$[${token.value}]` : token.value}'` : 'end of expression';
+}
+
+// ============================================
+// Parser - Recursive Descent
+// ============================================
+class Parser {
+  constructor(source, tokens) {
+    this.source = source;
+    this.tokens = tokens;
+    this.index = 0;
+  }
+
+  peek(offset = 0) {
+    return this.tokens[this.index + offset];
+  }
+
+  done() {
+    return this.index >= this.tokens.length;
+  }
+
+  is(type, ...values) {
+    const token = this.peek();
+    return !!token && token.type === type && (values.length === 0 || values.includes(token.value));
+  }
+
+  next() {
+    return this.tokens[this.index++];
+  }
+
+  expect(type, value) {
+    if (!this.is(type, value)) {
+      this.fail(`Expected '${value}' but found ${describe(this.peek())}`);
+    }
+    return this.next();
+  }
+
+  fail(message) {
+    const token = this.peek();
+    const pos = token ? token.pos : this.source.length;
+    throw new Error(`Invalid expression "${this.source}": ${message} at position ${pos}`);
+  }
+
+  parseOr() {
+    let left = this.parseAnd();
+    while (this.is('op', '||') || this.is('word', 'or')) {
+      this.next();
+      left = { type: 'or', left, right: this.parseAnd() };
+    }
+    return left;
+  }
+
+  parseAnd() {
+    let left = this.parseNot();
+    while (this.is('op', '&&') || this.is('word', 'and')) {
+      this.next();
+      left = { type: 'and', left, right: this.parseNot() };
+    }
+    return left;
+  }
+
+  parseNot() {
+    if (this.is('op', '!') || (this.is('word', 'not') && !this.isNotIn())) {
+      this.next();
+      return { type: 'not', operand: this.parseNot() };
+    }
+    return this.parseComparison();
+  }
+
+  isNotIn() {
+    const following = this.peek(1);
+    return !!following && following.type === 'word' && following.value === 'in';
+  }
+
+  parseComparison() {
+    const left = this.parseCoalesce();
+
+    let operator = null;
+    if (this.is('op', ...COMPARISONS) || this.is('word', 'in', 'contains')) {
+      operator = this.next().value;
+    } else if (this.is('word', 'not') && this.isNotIn()) {
+      this.next();
+      this.next();
+      operator = 'not in';
+    }
+
+    if (!operator) {
+      return left;
+    }
+    return { type: 'compare', operator, left, right: this.parseCoalesce() };
+  }
+
+  parseCoalesce() {
+    let left = this.parseUnary();
+    while (this.is('op', '??')) {
+      this.next();
+      left = { type: 'coalesce', left, right: this.parseUnary() };
+    }
+    return left;
+  }
+
+  parseUnary() {
+    if (this.is('word', 'exists')) {
+      this.next();
+      return { type: 'exists', operand: this.parseUnary() };
+    }
+    if (this.is('op', '-')) {
+      this.next();
+      return { type: 'negate', operand: this.parseUnary() };
+    }
+    return this.parsePrimary();
+  }
+
+  parsePrimary() {
+    const token = this.peek();
+    if (!token) {
+      this.fail('Unexpected end of expression');
+    }
+
+    if (token.type === 'num' || token.type === 'str') {
+      this.next();
+      return { type: 'literal', value: token.value };
+    }
+
+    if (token.type === 'ref') {
+      this.next();
+      return { type: 'ref', path: token.value };
+    }
+
+    if (this.is('word', 'true', 'false', 'null')) {
+      this.next();
+      return { type: 'literal', value: { true: true, false: false, null: null }[token.value] };
+    }
+
+    if (this.is('op', '(')) {
+      this.next();
+      const inner = this.parseOr();
+      this.expect('op', ')');
+      return inner;
+    }
+
+    if (this.is('op', '[')) {
+      this.next();
+      const items = [];
+      while (!this.is('op', ']')) {
+        items.push(this.parseOr());
+        if (!this.is('op', ']')) {
+          this.expect('op', ',');
+        }
+      }
+      this.next();
+      return { type: 'array', items };
+    }
+
+    return this.fail(`Unexpected ${describe(token)}`);
+  }
+}
+
+// ============================================
+// Evaluator
+// ============================================
+function evaluate(node, resolve) {
+  switch (node.type) {
+    case 'literal':
+      return node.value;
+    case 'ref':
+      return resolve(node.path);
+    case 'array':
+      return node.items.map((item) => evaluate(item, resolve));
+    case 'or':
+      return truthy(evaluate(node.left, resolve)) || truthy(evaluate(node.right, resolve));
+    case 'and':
+      return truthy(evaluate(node.left, resolve)) && truthy(evaluate(node.right, resolve));
+    case 'not':
+      return !truthy(evaluate(node.operand, resolve));
+    case 'exists': {
+      const value = evaluate(node.operand, resolve);
+      return value !== undefined && value !== null;
+    }
+    case 'negate':
+      return -Number(evaluate(node.operand, resolve));
+    case 'coalesce': {
+      const value = evaluate(node.left, resolve);
+      return value !== undefined && value !== null ? value : evaluate(node.right, resolve);
+    }
+    case 'compare':
+      return compare(node.operator, evaluate(node.left, resolve), evaluate(node.right, resolve));
+    default:
+      throw new Error(`Unknown expression node [${node.type}]`);
+  }
+}
+
+function compare(operator, left, right) {
+  switch (operator) {
+    case '==':
+      return equals(left, right);
+    case '!=':
+      return !equals(left, right);
+    case 'in':
+      return includes(right, left);
+    case 'not in':
+      return !includes(right, left);
+    case 'contains':
+      return includes(left, right);
+    default:
+      return order(operator, left, right);
+  }
+}
+
+function isNumeric(value) {
+  return (typeof value === 'number' && Number.isFinite(value)) ||
+    (typeof value === 'string' && value.trim() !== '' && Number.isFinite(Number(value)));
+}
+
+function equals(left, right) {
+  if (isNumeric(left) && isNumeric(right)) {
+    return Number(left) === Number(right);
+  }
+
+  // "true"/"false" strings, as produced by templates, equal the booleans
+  if (typeof left === 'boolean' && typeof right === 'string') return String(left) === right.toLowerCase();
+  if (typeof right === 'boolean' && typeof left === 'string') return String(right) === left.toLowerCase();
+
+  const a = left === undefined ? null : left;
+  const b = right === undefined ? null : right;
+  if (typeof a === 'object' || typeof b === 'object') {
+    return JSON.stringify(a) === JSON.stringify(b);
+  }
+  return a === b;
+}
+
+function order(operator, left, right) {
+  let a = left;
+  let b = right;
+
+  if (isNumeric(a) && isNumeric(b)) {
+    a = Number(a);
+    b = Number(b);
+  } else if (typeof a !== 'string' || typeof b !== 'string') {
+    return false; // null, missing or mixed values are not ordered
+  }
+
+  switch (operator) {
+    case '>': return a > b;
+    case '>=': return a >= b;
+    case '<': return a < b;
+    case '<=': return a <= b;
+    default: return false;
+  }
+}
+
+function includes(collection, item) {
+  if (Array.isArray(collection)) {
+    return collection.some((element) => equals(element, item));
+  }
+  if (typeof collection === 'string') {
+    return item !== undefined && item !== null && collection.includes(String(item));
+  }
+  if (collection && typeof collection === 'object') {
+    return Object.prototype.hasOwnProperty.call(collection, String(item));
+  }
+  return false;
+}
+
+// Same truth rules as processus getBoolean(): true, "true" (any case) and
+// non-zero numbers are true, everything else is false
+function truthy(value) {
+  if (typeof value === 'boolean') return value;
+  if (typeof value === 'string') return value.toLowerCase() === 'true';
+  if (typeof value === 'number') return value !== 0;
+  return false;
+}
+
+export default {
+  parseExpression,
+  evaluateExpression,
+  isLiteralCondition,
+  evaluateCondition
+};
@@ -0,0 +1,148 @@
+// engine/handlers.js
+// Handler registry: maps the handler named by a task to its module
+//
+// builtin:<name>  a handler shipped in taskHandlers/ (builtin:exec, builtin:log, ...)
+// <name>          a handler registered with registerHandler(), or a file
+//                 <name>.js / <name>.mjs in the plugin directory HANDLERS_DIR
+// <path>          anything with a "/" or ending in .js is imported as a module
+//                 path, relative to this directory (the original behaviour)
+//
+// A handler module may export requiredParameters, the parameter paths
+// (e.g. 'file.name') validateDefinition checks each task using it sets
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath, pathToFileURL } from 'url';
+
+const BUILTIN_DIR = fileURLToPath(new URL('../taskHandlers/', import.meta.url));
+
+const BUILTINS = {
+  approval: 'approvalHandler.js',
+  conditional: 'conditionalHandler.js',
+  exec: 'exeHandler.js',
+  file: 'fileHandler.js',
+  log: 'logHandler.js',
+  test: 'testHandler.js',
+  workflow: 'workflowHandler.js'
+};
+
+// How a handler may declare it is called, see invokeHandler in processus.js
+const HANDLER_STYLES = ['promise', 'callback'];
+
+const registered = new Map();
+
+// name → absolute file path, read from HANDLERS_DIR on first use
+let plugins = null;
+
+function getPlugins() {
+  if (plugins === null) {
+    plugins = new Map();
+    const dir = process.env.HANDLERS_DIR;
+
+    if (dir) {
+      if (!fs.existsSync(dir)) {
+        throw new Error(`Handler plugin directory [${dir}] does not exist`);
+      }
+      for (const file of fs.readdirSync(dir).sort()) {
+        const match = file.match(/^(.+)\.m?js$/);
+        if (match) {
+          plugins.set(match[1], path.resolve(dir, file));
+        }
+      }
+    }
+  }
+
+  return plugins;
+}
+
+function isModulePath(name) {
+  return name.includes('/') || /\.m?js$/.test(name);
+}
+
+/**
+ * Register a handler under a name tasks can use as their handler
+ * @param {string} name - The handler name, e.g. "slack"
+ * @param {Function} fn - async (context) or (workflowId, taskName, task, callback, signal)
+ * @param {Object} [options]
+ * @param {string[]} [options.requiredParameters] - Parameters the validator checks for
+ * @param {string} [options.style] - "promise" or "callback", when the parameter count does not tell
+ */
+export function registerHandler(name, fn, { requiredParameters = [], style } = {}) {
+  if (typeof name !== 'string' || name.trim() === '' || name.startsWith('builtin:') || isModulePath(name)) {
+    throw new Error(`Invalid handler name [${name}], use a plain name such as "slack"`);
+  }
+  if (typeof fn !== 'function') {
+    throw new Error(`Handler [${name}] must be a function`);
+  }
+  checkStyle(name, style);
+  registered.set(name, { default: fn, requiredParameters, style });
+}
+
+/**
+ * Names of every handler a task can use, without module paths
+ * @returns {string[]}
+ */
+export function listHandlers() {
+  return [
+    ...Object.keys(BUILTINS).map((name) => `builtin:${name}`),
+    ...registered.keys(),
+    ...[...getPlugins().keys()].filter((name) => !registered.has(name))
+  ];
+}
+
+/**
+ * Find the module for a task's handler
+ * @param {string} name - builtin:<name>, a registered or plugin name, or a module path
+ * @returns {Promise<Object>} - The module, with a default export function
+ * @throws {Error} - When the handler is unknown, missing or not a function
+ */
+export async function resolveHandler(name) {
+  if (typeof name !== 'string' || name.trim() === '') {
+    throw new Error(`Handler must be a name such as "builtin:exec", got ${JSON.stringify(name)}`);
+  }
+
+  if (registered.has(name)) {
+    return registered.get(name);
+  }
+
+  let url;
+  if (name.startsWith('builtin:')) {
+    const file = BUILTINS[name.slice('builtin:'.length)];
+    if (!file) {
+      throw unknownHandler(name);
+    }
+    url = pathToFileURL(path.join(BUILTIN_DIR, file)).href;
+  } else if (getPlugins().has(name)) {
+    url = pathToFileURL(getPlugins().get(name)).href;
+  } else if (isModulePath(name)) {
+    url = import.meta.resolve(name);
+    if (url.startsWith('file:') && !fs.existsSync(fileURLToPath(url))) {
+      throw new Error(`Handler module [${name}] not found at ${fileURLToPath(url)}`);
+    }
+  } else {
+    throw unknownHandler(name);
+  }
+
+  const module = await import(url);
+  if (typeof module.default !== 'function') {
+    throw new Error(`Handler [${name}] must export a default function`);
+  }
+  checkStyle(name, module.style);
+  return module;
+}
+
+function checkStyle(name, style) {
+  if (style !== undefined && !HANDLER_STYLES.includes(style)) {
+    throw new Error(`Handler [${name}] style must be one of ${HANDLER_STYLES.join(', ')}`);
+  }
+}
+
+function unknownHandler(name) {
+  return new Error(`Unknown handler [${name}], available handlers: ${listHandlers().join(', ')}`);
+}
+
+export default {
+  registerHandler,
+  listHandlers,
+  resolveHandler
+};
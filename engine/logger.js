@@ -47,6 +47,7 @@
 
 
 import winston from 'winston';
+import { scrubSecrets } from './secrets/secrets.js';
 
 const { createLogger, format, transports, addColors } = winston;
 
@@ -70,10 +71,19 @@ const customLevels = {
 
 addColors(customLevels.colors);
 
+// Never print values resolved from $secret[] references
+const scrub = format((info) => {
+  if (typeof info.message === 'string') {
+    info.message = scrubSecrets(info.message);
+  }
+  return info;
+});
+
 // Create logger instance
 const logger = createLogger({
   levels: customLevels.levels,
   format: format.combine(
+    scrub(),
     format.colorize({ all: true }),
     format.timestamp({ format: 'YYYY-MM-DD HH:mm:ss' }),
     format.printf(({ timestamp, level, message }) => `${timestamp} [${level}]: ${message}`)
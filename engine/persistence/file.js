@@ -50,15 +50,66 @@ export async function deleteDefinition(name, callback) {
   }
 }
 
+// Schedules are kept apart from instances, one file each
+function schedulesDirectory() {
+  return path.join(gConfig.dataDirectory, 'schedules');
+}
+
+// Save a workflow schedule
+export async function saveSchedule(schedule, callback) {
+  try {
+    await fs.mkdir(schedulesDirectory(), { recursive: true });
+    await fs.writeFile(path.join(schedulesDirectory(), `${schedule.id}.json`), JSON.stringify(schedule, null, 2), 'utf8');
+    logger.debug(`✅ Saved schedule: ${schedule.id}`);
+    callback(null, schedule);
+  } catch (fileError) {
+    logger.error(`❌ Failed to save schedule: ${fileError.message}`);
+    callback(fileError);
+  }
+}
+
+// Get all workflow schedules
+export async function getSchedules(callback) {
+  try {
+    const files = await fs.readdir(schedulesDirectory()).catch((err) => {
+      if (err.code === 'ENOENT') return [];
+      throw err;
+    });
+
+    const schedules = [];
+    for (const file of files.filter((name) => name.endsWith('.json')).sort()) {
+      const data = await fs.readFile(path.join(schedulesDirectory(), file), 'utf8');
+      schedules.push(JSON.parse(data));
+    }
+    callback(null, schedules);
+  } catch (fileError) {
+    logger.error(`❌ Failed to get schedules: ${fileError.message}`);
+    callback(fileError);
+  }
+}
+
+// Delete a workflow schedule
+export async function deleteSchedule(id, callback) {
+  try {
+    await fs.unlink(path.join(schedulesDirectory(), `${id}.json`));
+    logger.debug(`✅ Deleted schedule: ${id}`);
+    callback(null);
+  } catch (fileError) {
+    logger.error(`❌ Failed to delete schedule ${id}: ${fileError.message}`);
+    callback(fileError);
+  }
+}
+
 // Delete all workflow instances
 export async function deleteAll(callback) {
   try {
     logger.debug("DELETE ALL");
     
-    // Find all files except definitions (*.def)
+    // Find all files except definitions (*.def) and schedules, which like
+    // definitions are kept: their repeatable jobs live on in the queue
     const pattern = path.join(gConfig.dataDirectory, '*');
     const files = await glob(pattern, {
-      ignore: path.join(gConfig.dataDirectory, '*.def')
+      ignore: [path.join(gConfig.dataDirectory, '*.def'), schedulesDirectory()]
     });
 
     if (!files || files.length === 0) {
@@ -324,5 +375,8 @@ export default {
   getWorkflows,
   initStore,
   saveInstance,
+  saveSchedule,
+  getSchedules,
+  deleteSchedule,
   exitStore
 };
\ No newline at end of file
@@ -10,6 +10,7 @@ let mongodb = null;
 let workflowInstances = null;
 let workflowHistory = null;
 let workflowDefinitions = null;
+let workflowSchedules = null;
 
 // Initialize MongoDB store
 export async function initStore(config, callback) {
@@ -30,12 +31,14 @@ export async function initStore(config, callback) {
     workflowInstances = mongodb.collection('instances');
     workflowHistory = mongodb.collection('instances-history');
     workflowDefinitions = mongodb.collection('definitions');
+    workflowSchedules = mongodb.collection('schedules');
 
     // Create indexes (createIndex replaces deprecated ensureIndex)
     try {
       await workflowInstances.createIndex({ id: 1 }, { unique: true, background: true });
       await workflowHistory.createIndex({ id: 1 }, { background: true }); // Non-unique for history
       await workflowDefinitions.createIndex({ name: 1 }, { unique: true, background: true });
+      await workflowSchedules.createIndex({ id: 1 }, { unique: true, background: true });
       
       logger.info('✅ MongoDB store initialized successfully');
       callback(null);
@@ -310,6 +313,46 @@ export async function saveInstance(workflow, callback) {
   }
 }
 
+// Save a workflow schedule
+export async function saveSchedule(schedule, callback) {
+  try {
+    const { _id, ...record } = schedule;
+    await workflowSchedules.replaceOne({ id: schedule.id }, record, { upsert: true });
+    logger.debug(`✅ Saved schedule: ${schedule.id}`);
+    callback(null, schedule);
+  } catch (mongoError) {
+    logger.error(`❌ Failed to save schedule: ${mongoError.message}`);
+    callback(mongoError);
+  }
+}
+
+// Get all workflow schedules
+export async function getSchedules(callback) {
+  try {
+    const schedules = await workflowSchedules.find({}).sort({ id: 1 }).toArray();
+    callback(null, schedules.map(({ _id, ...schedule }) => schedule));
+  } catch (mongoError) {
+    logger.error(`❌ Failed to get schedules: ${mongoError.message}`);
+    callback(mongoError);
+  }
+}
+
+// Delete a workflow schedule
+export async function deleteSchedule(id, callback) {
+  try {
+    const result = await workflowSchedules.deleteOne({ id });
+    if (result.deletedCount === 0) {
+      callback(new Error(`Schedule ${id} not found`));
+      return;
+    }
+    logger.debug(`✅ Deleted schedule: ${id}`);
+    callback(null);
+  } catch (mongoError) {
+    logger.error(`❌ Failed to delete schedule ${id}: ${mongoError.message}`);
+    callback(mongoError);
+  }
+}
+
 // Exit store gracefully
 export async function exitStore(callback) {
   try {
@@ -336,5 +379,8 @@ export default {
   getWorkflows,
   loadInstance,
   saveInstance,
+  saveSchedule,
+  getSchedules,
+  deleteSchedule,
   exitStore
 };
\ No newline at end of file
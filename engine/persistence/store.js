@@ -3,6 +3,7 @@
 
 import logger from '../logger.js';
 import { config } from './config.js';
+import { redactSecrets } from '../redact.js';
 
 // Lazy-loaded store modules
 let storeModule = null;
@@ -119,7 +120,8 @@ export async function initStore(callback) {
   }
 }
 
-// Save workflow instance
+// Save workflow instance, redacted as in the REST API: resolved $secret[]
+// values go back to their references and secret-looking values are masked
 export async function saveInstance(workflow, callback) {
   try {
     if (!config.type) {
@@ -128,7 +130,7 @@ export async function saveInstance(workflow, callback) {
     }
     
     const store = await getStoreModule();
-    store.saveInstance(workflow, (err) => {
+    store.saveInstance(redactSecrets(workflow), (err) => {
       callback(err);
     });
   } catch (storeErr) {
@@ -136,6 +138,36 @@ export async function saveInstance(workflow, callback) {
   }
 }
 
+// Save a workflow schedule
+export async function saveSchedule(schedule, callback) {
+  try {
+    const store = await getStoreModule();
+    store.saveSchedule(schedule, callback);
+  } catch (err) {
+    callback(err);
+  }
+}
+
+// Get all workflow schedules
+export async function getSchedules(callback) {
+  try {
+    const store = await getStoreModule();
+    store.getSchedules(callback);
+  } catch (err) {
+    callback(err);
+  }
+}
+
+// Delete a workflow schedule
+export async function deleteSchedule(id, callback) {
+  try {
+    const store = await getStoreModule();
+    store.deleteSchedule(id, callback);
+  } catch (err) {
+    callback(err);
+  }
+}
+
 // Exit store gracefully
 export async function exitStore(callback) {
   logger.debug("Store is exiting...");
@@ -164,5 +196,8 @@ export default {
   getWorkflows,
   initStore,
   saveInstance,
+  saveSchedule,
+  getSchedules,
+  deleteSchedule,
   exitStore
 };
\ No newline at end of file
@@ -7,9 +7,59 @@ import { v4 as uuidv4 } from 'uuid';
 import _ from 'underscore';
 import logger from './logger.js';
 import store from './persistence/store.js';
+import { parseDuration } from './duration.js';
+import { parseExpression, isLiteralCondition, evaluateCondition } from './expression.js';
+import { resolveReference, renderTemplate, parseReference, findReferences } from './template.js';
+import { checkSchema, applyDefaults, validateSchema } from './schema.js';
+import { resolveEnvironment } from './environment.js';
+import { redactSecrets } from './redact.js';
+import { getSecret } from './secrets/secrets.js';
+import { resolveHandler } from './handlers.js';
+import RetryFallbackSystem from './RetryFallbackSystem.js';
 
 dotenv.config({ silent: true });
 
+const retrySystem = new RetryFallbackSystem();
+
+// Workflows currently executing in this process, by id, so they can be
+// cancelled while in flight: { workflow, controller, started }
+const activeExecutions = new Map();
+
+// Tasks of distributed workflows running in this process (runQueuedTask),
+// by workflow id: a Set of the AbortControllers whose signals their handlers
+// get, aborted when the workflow is cancelled
+const queuedTasks = new Map();
+
+// How often a queued task re-reads its instance to pick up a cancellation
+// saved by another process
+const QUEUED_CANCEL_POLL = 1000;
+
+// Key under which runQueuedTask keeps the task's signal on the loaded
+// instance; a symbol is never saved and is copied into forEach scopes
+const QUEUED_SIGNAL = Symbol("queuedSignal");
+
+// Hands a task of a distributed workflow to a worker:
+// (workflow, taskName) => Promise, see setTaskDispatcher
+let taskDispatcher = null;
+
+// Workflow statuses that can no longer change
+const FINISHED_STATUSES = ["completed", "error", "cancelled", "compensated", "compensation_failed"];
+
+// Task fields holding condition expressions
+const CONDITION_FIELDS = ["skipIf", "errorIf", "runIf"];
+
+// Task fields holding task templates, resolved when they run rather than
+// with the task itself
+const TEMPLATE_FIELDS = ["forEach", "compensate", "fallback"];
+
+// Task fields recorded while a task runs, cleared when it is restarted
+const RUNTIME_TASK_FIELDS = [
+  "errorMsg", "timeOpened", "timeStarted", "timeCompleted", "handlerDuration", "totalDuration",
+  "handlerExecuted", "attempts", "timedOut", "events", "usedFallback", "primaryError", "fallbackError"
+];
+
+const RESTART_MODES = ["from-failed", "from-task", "all"];
+
 // ============================================
 // Main Entry Point - Run Workflow
 // ============================================
@@ -19,17 +69,21 @@ export const runWorkflow = async (defId, id, workflowTaskJSON, callback) => {
     execute(workflowTaskJSON, (err, workflow) => {
       if (!err) {
         logger.debug("Workflow returned successfully.");
-        logger.debug(JSON.stringify(workflow, null, 2));
+        logger.debug(JSON.stringify(redactSecrets(workflow), null, 2));
 
         if (workflow.status === "completed") {
           logger.info(`✰ Workflow [${defId}] with id [${workflow.id}] completed successfully.`);
+        } else if (workflow.status === "cancelled") {
+          logger.info(`✰ Workflow [${defId}] with id [${workflow.id}] was cancelled: ${workflow.cancelReason}`);
+        } else if (workflow.distributed && workflow.status === "open") {
+          logger.info(`✰ Workflow [${defId}] with id [${workflow.id}] handed its tasks to workers.`);
         } else {
           logger.info(`✰ Workflow [${defId}] with id [${workflow.id}] exited without error, but did not complete.`);
         }
       } else {
         logger.error(`✘ ${err.message}`);
         logger.error(`✘ Workflow [${defId}] with id [${workflow.id}] exited with error!`);
-        logger.debug(JSON.stringify(workflow, null, 2));
+        logger.debug(JSON.stringify(redactSecrets(workflow), null, 2));
       }
 
       callback(err, workflow);
@@ -39,7 +93,7 @@ export const runWorkflow = async (defId, id, workflowTaskJSON, callback) => {
     updateTasks(id, workflowTaskJSON, (err, workflow) => {
       if (!err) {
         logger.debug("Workflow returned successfully.");
-        logger.debug(JSON.stringify(workflow, null, 2));
+        logger.debug(JSON.stringify(redactSecrets(workflow), null, 2));
 
         if (workflow.status === "completed") {
           logger.info(`✰ Workflow [${defId}] with id [${id}] updated successfully.`);
@@ -47,7 +101,7 @@ export const runWorkflow = async (defId, id, workflowTaskJSON, callback) => {
       } else {
         logger.error(`✘ ${err.message}`);
         logger.error(`✘ Workflow [${defId}] with id [${id}] failed to update with error!`);
-        logger.debug(JSON.stringify(workflow, null, 2));
+        logger.debug(JSON.stringify(redactSecrets(workflow), null, 2));
       }
       callback(err, workflow);
     });
@@ -63,7 +117,9 @@ export const updateTasks = (id, tasks, callback) => {
       return callback(err);
     }
     
-    if (workflow.status !== "completed") {
+    if (workflow.status === "cancelled") {
+      callback(new Error(`Update failed, workflow [${id}] has been cancelled!`));
+    } else if (workflow.status !== "completed") {
       const mergedWorkflow = mergeTasks(workflow, tasks);
       execute(mergedWorkflow, callback);
     } else {
@@ -72,6 +128,514 @@ export const updateTasks = (id, tasks, callback) => {
   });
 };
 
+// ============================================
+// Cancel Workflow
+// ============================================
+// A workflow executing in this process stops scheduling tasks and its
+// in-flight handlers are aborted; it then finishes with status "cancelled".
+// Any other unfinished instance is marked cancelled in the store, where the
+// process executing it (if any) picks it up, see syncCancellation.
+export const cancelWorkflow = (id, reason, callback) => {
+  reason = reason || "Cancelled by user";
+
+  const active = activeExecutions.get(id);
+  if (active) {
+    if (active.workflow.status !== "cancelled") {
+      logger.info(`⊘ Cancelling workflow [${id}]: ${reason}`);
+      markCancelled(active.workflow, reason);
+      active.controller.abort(reason);
+    }
+    return callback(null, active.workflow);
+  }
+
+  store.loadInstance(id, 0, (err, workflow) => {
+    if (err) {
+      return callback(err);
+    }
+
+    if (FINISHED_STATUSES.includes(workflow.status)) {
+      return callback(workflowError(
+        `Cancel failed, workflow [${id}] has already finished with status [${workflow.status}]`,
+        "WORKFLOW_FINISHED"
+      ), workflow);
+    }
+
+    logger.info(`⊘ Cancelling workflow [${id}]: ${reason}`);
+    markCancelled(workflow, reason);
+    cancelUnfinishedTasks(workflow, reason);
+
+    store.saveInstance(workflow, (saveErr) => {
+      // Saved first, so their results are ignored once they settle
+      abortQueuedTasks(id, reason);
+      callback(saveErr, workflow);
+    });
+  });
+};
+
+// ============================================
+// Resume a Paused Task
+// ============================================
+// Completes a paused task with the supplied output parameters (merged over
+// its current ones) and continues executing the workflow. Approval tasks
+// waiting for a decision are settled by decideApproval (see approvals.js),
+// which checks the approvers, so they cannot be resumed.
+export const resumeTask = (id, taskName, parameters, callback) => {
+  continuePausedTask(id, taskName, (task) => {
+    const approval = task.parameters && task.parameters.approval;
+    if (approval && approval.decision === "pending") {
+      throw workflowError(
+        `Resume failed, task [${taskName}] is waiting for an approval decision`,
+        "APPROVAL_PENDING"
+      );
+    }
+
+    task.parameters = { ...task.parameters, ...parameters };
+    return null;
+  }, callback);
+};
+
+// ============================================
+// Continue a Paused Task
+// ============================================
+// Loads the workflow, checks the task is paused and lets apply(task,
+// workflow) settle it: apply throws to refuse without changing anything,
+// returns an Error to fail the task or null to complete it. A completed task
+// continues the workflow, a failed one fails it (unless ignoreError is set).
+export const continuePausedTask = (id, taskName, apply, callback) => {
+  if (activeExecutions.has(id)) {
+    return callback(workflowError(
+      `Resume failed, workflow [${id}] is still executing`,
+      "WORKFLOW_BUSY"
+    ));
+  }
+
+  store.loadInstance(id, 0, (err, workflow) => {
+    if (err) {
+      return callback(err);
+    }
+
+    if (FINISHED_STATUSES.includes(workflow.status)) {
+      return callback(workflowError(
+        `Resume failed, workflow [${id}] has already finished with status [${workflow.status}]`,
+        "WORKFLOW_FINISHED"
+      ), workflow);
+    }
+
+    let task = null;
+    scanAllTasks(workflow.tasks, true, (t, name) => {
+      if (name === taskName) {
+        task = t;
+        return false;
+      }
+      return true;
+    });
+
+    if (!task) {
+      return callback(workflowError(
+        `Resume failed, workflow [${id}] has no task [${taskName}]`,
+        "TASK_NOT_FOUND"
+      ), workflow);
+    }
+
+    if (task.status !== "paused") {
+      return callback(workflowError(
+        `Resume failed, task [${taskName}] is not paused (status [${task.status}])`,
+        "TASK_NOT_PAUSED"
+      ), workflow);
+    }
+
+    let taskError;
+    try {
+      taskError = apply(task, workflow);
+    } catch (refusal) {
+      return callback(refusal, workflow);
+    }
+
+    logger.info(`▶ Resuming task [${taskName}] of workflow [${id}]`);
+
+    task.status = "executing";
+    finishTask(taskName, taskError, task, (err) => {
+      if (!err) {
+        return execute(workflow, callback);
+      }
+
+      workflow.status = "error";
+      store.saveInstance(workflow, (saveErr) => {
+        if (saveErr) {
+          return callback(saveErr, workflow);
+        }
+        compensateWorkflow(workflow, err, callback);
+      });
+    });
+  });
+};
+
+// ============================================
+// Restart a Finished Workflow
+// ============================================
+// Resets tasks to waiting and runs the instance again; completed tasks that
+// are not reset keep their outputs. Modes:
+//   from-failed  tasks that did not complete, or were compensated
+//   from-task    the named task and the tasks inside it
+//   all          every task
+// Tasks after a reset one are reset too: its dependents (dependsOn and
+// onReject) or, without dependsOn, every later task, as well as its parents.
+// Each restart is recorded in restarts[].
+export const restartWorkflow = (id, options, callback) => {
+  const { mode = "from-failed", task: fromTask, reason } = options || {};
+
+  if (!RESTART_MODES.includes(mode)) {
+    return callback(workflowError(
+      `Restart failed, mode must be one of ${RESTART_MODES.join(", ")}`,
+      "INVALID_RESTART"
+    ));
+  }
+  if (mode === "from-task" && !fromTask) {
+    return callback(workflowError("Restart failed, mode from-task needs a task name", "INVALID_RESTART"));
+  }
+  if (activeExecutions.has(id)) {
+    return callback(workflowError(`Restart failed, workflow [${id}] is still executing`, "WORKFLOW_BUSY"));
+  }
+
+  store.loadInstance(id, 0, (err, workflow) => {
+    if (err) {
+      return callback(err);
+    }
+
+    if (!FINISHED_STATUSES.includes(workflow.status)) {
+      return callback(workflowError(
+        `Restart failed, workflow [${id}] has not finished (status [${workflow.status}])`,
+        "WORKFLOW_NOT_FINISHED"
+      ), workflow);
+    }
+
+    const { index, parents } = indexTasks(workflow.tasks);
+    const seeds = [];
+
+    if (mode === "all") {
+      seeds.push(...Object.keys(index));
+    } else if (mode === "from-task") {
+      if (!index[fromTask]) {
+        return callback(workflowError(`Restart failed, workflow [${id}] has no task [${fromTask}]`, "TASK_NOT_FOUND"), workflow);
+      }
+      seeds.push(fromTask);
+      scanAllTasks(index[fromTask].tasks, true, (task, name) => seeds.push(name));
+    } else {
+      const compensated = (workflow.compensation || []).map((result) => result.task);
+      for (const [name, task] of Object.entries(index)) {
+        if (!["completed", "skipped", "waiting"].includes(task.status) || compensated.includes(name)) {
+          seeds.push(name);
+        }
+      }
+    }
+
+    if (seeds.length === 0) {
+      return callback(workflowError(`Restart failed, workflow [${id}] has no failed tasks`, "NOTHING_TO_RESTART"), workflow);
+    }
+
+    const resetNames = findTasksToReset(workflow, index, parents, seeds);
+
+    workflow.restarts = workflow.restarts || [];
+    workflow.restarts.push({
+      time: Date.now(),
+      mode,
+      task: fromTask,
+      reason,
+      previousStatus: workflow.status,
+      previousError: workflow.errorMsg,
+      taskErrors: Object.fromEntries(resetNames
+        .filter((name) => index[name].status === "error")
+        .map((name) => [name, index[name].errorMsg])),
+      compensation: workflow.compensation,
+      resetTasks: resetNames
+    });
+    ["errorMsg", "outputs", "compensation", "cancelReason", "timeCancelled"].forEach((key) => delete workflow[key]);
+
+    const templates = indexTasks(workflow.taskTemplates).index;
+    for (const name of resetNames) {
+      resetTask(index[name], templates[name]);
+    }
+
+    logger.info(`↻ Restarting workflow [${id}] (${mode}), resetting: ${resetNames.join(", ")}`);
+    execute(workflow, callback);
+  });
+};
+
+// Seeds plus everything that runs after them, in definition order
+const findTasksToReset = (workflow, index, parents, seeds) => {
+  const names = Object.keys(index);
+  const reset = new Set(seeds);
+
+  if (!usesDependencies(workflow)) {
+    const first = Math.min(...seeds.map((name) => names.indexOf(name)));
+    names.slice(first).forEach((name) => reset.add(name));
+  }
+
+  let grew = true;
+  while (grew) {
+    grew = false;
+    for (const name of names) {
+      if (reset.has(name)) continue;
+
+      const task = index[name];
+      const dependsOnReset = dependsOnList(task).some((dep) => reset.has(dep));
+      const parentOfReset = names.some((child) => parents[child] === name && reset.has(child));
+      const rejectBranch = names.some((approval) => reset.has(approval) && [].concat(index[approval].onReject || []).includes(name));
+
+      if (dependsOnReset || parentOfReset || rejectBranch) {
+        reset.add(name);
+        grew = true;
+      }
+    }
+  }
+
+  return names.filter((name) => reset.has(name));
+};
+
+// Back to its definition (kept in taskTemplates) with its children left as
+// they are; instances from before taskTemplates keep their parameters
+const resetTask = (task, template) => {
+  const children = task.tasks;
+
+  if (template) {
+    Object.keys(task).forEach((key) => delete task[key]);
+    Object.assign(task, JSON.parse(JSON.stringify({ ...template, tasks: undefined })));
+  } else {
+    RUNTIME_TASK_FIELDS.forEach((key) => delete task[key]);
+  }
+
+  if (children) {
+    task.tasks = children;
+  }
+  task.status = "waiting";
+};
+
+// ============================================
+// Distributed Task Execution
+// ============================================
+// A workflow saved with distributed: true does not run its tasks in the
+// process executing it. Each runnable task is handed to the dispatcher
+// (WorkflowQueue puts it on the workflow-tasks queue); a worker runs it
+// with runQueuedTask and reports the result with completeQueuedTask, which
+// continues the workflow from its saved state. The pre/post hooks,
+// compensation and outputs run wherever the workflow is continued.
+export const setTaskDispatcher = (dispatch) => {
+  taskDispatcher = dispatch;
+};
+
+// Runs one dispatched task against the saved instance and calls back with
+// the settled task, or null when it is no longer waiting to run (the
+// workflow finished or was cancelled meanwhile). Nothing is saved here.
+// The saved environment is redacted, so it is resolved again on this worker.
+// The handler gets the signal of an AbortController of its own, aborted when
+// the workflow is cancelled here or in the store, and on a task timeout as
+// in a local run.
+export const runQueuedTask = (id, taskName, callback) => {
+  store.loadInstance(id, 0, (err, workflow) => {
+    if (err) {
+      return callback(err);
+    }
+    addEnvVars(workflow);
+
+    const task = indexTasks(workflow.tasks).index[taskName];
+    if (FINISHED_STATUSES.includes(workflow.status) || !task || task.status !== "executing") {
+      logger.info(`Task [${taskName}] of workflow [${id}] is no longer waiting to run, skipping it`);
+      return callback(null, null);
+    }
+
+    const controller = new AbortController();
+    const controllers = queuedTasks.get(id) || new Set();
+    controllers.add(controller);
+    queuedTasks.set(id, controllers);
+    workflow[QUEUED_SIGNAL] = controller.signal;
+
+    const poll = setInterval(() => {
+      store.loadInstance(id, 0, (loadErr, saved) => {
+        if (!loadErr && saved && saved.status === "cancelled" && !controller.signal.aborted) {
+          logger.info(`⊘ Workflow [${id}] was cancelled by another process: ${saved.cancelReason}`);
+          controller.abort(saved.cancelReason);
+        }
+      });
+    }, QUEUED_CANCEL_POLL);
+
+    runTask(workflow, taskName, task, (taskErr, returnedTask) => {
+      clearInterval(poll);
+      controllers.delete(controller);
+      if (controllers.size === 0) {
+        queuedTasks.delete(id);
+      }
+      callback(null, returnedTask || task);
+    });
+  });
+};
+
+// Aborts the tasks of the workflow that runQueuedTask is running here
+const abortQueuedTasks = (id, reason) => {
+  (queuedTasks.get(id) || []).forEach((controller) => controller.abort(reason));
+};
+
+// Applies a task settled by runQueuedTask to the saved instance and
+// continues the workflow. Results for a task that is no longer executing
+// are ignored. Callers must not complete two tasks of one workflow at once.
+export const completeQueuedTask = (id, taskName, result, callback) => {
+  const loadedAt = Date.now();
+  store.loadInstance(id, 0, (err, workflow) => {
+    if (err) {
+      return callback(err);
+    }
+    addEnvVars(workflow);
+
+    const task = indexTasks(workflow.tasks).index[taskName];
+    if (FINISHED_STATUSES.includes(workflow.status) || !task || task.status !== "executing") {
+      logger.info(`Ignoring the result of task [${taskName}], workflow [${id}] has moved on`);
+      return callback(null, workflow);
+    }
+
+    // The instance's copy of the children is the current one
+    const children = task.tasks;
+    Object.assign(task, result);
+    if (children) {
+      task.tasks = children;
+    }
+
+    activeExecutions.set(id, { workflow, controller: new AbortController(), started: loadedAt });
+    continueExecution(workflow, (execErr, wf) => {
+      activeExecutions.delete(id);
+      callback(execErr, wf);
+    });
+  });
+};
+
+// ============================================
+// Create an Error With a Code
+// ============================================
+// The code lets callers (e.g. the REST API) tell expected refusals apart
+export const workflowError = (message, code) => {
+  const err = new Error(message);
+  err.code = code;
+  return err;
+};
+
+// ============================================
+// Bind Workflow Inputs
+// ============================================
+// The definition's inputs section is a JSON Schema (see schema.js) for the
+// values a caller supplies. Binding validates the values, with defaults
+// applied, and returns a copy holding them as inputs (for $[inputs.x]) and
+// the schema as inputSchema. Bound instances are returned unchanged.
+export const bindInputs = (workflow, values = {}) => {
+  values = values || {};
+  if (workflow.inputSchema !== undefined || (workflow.inputs === undefined && Object.keys(values).length === 0)) {
+    return workflow;
+  }
+
+  // Without an inputs section nothing may be supplied
+  const schema = workflow.inputs === undefined ? { type: "object", additionalProperties: false } : workflow.inputs;
+  validateInputSchema(schema);
+
+  const inputs = applyDefaults(values, { type: "object", ...schema });
+  const violations = validateSchema(inputs, { type: "object", ...schema }, "inputs");
+  if (violations.length > 0) {
+    const err = workflowError(`Invalid workflow inputs: ${violations.join("; ")}`, "INVALID_INPUTS");
+    err.violations = violations;
+    throw err;
+  }
+
+  return { ...workflow, inputSchema: schema, inputs };
+};
+
+// ============================================
+// Validate the Inputs Schema
+// ============================================
+const validateInputSchema = (schema) => {
+  const problems = checkSchema(schema, "inputs");
+  if (problems.length === 0 && schema.type !== undefined && schema.type !== "object") {
+    problems.push("inputs.type must be object");
+  }
+  if (problems.length > 0) {
+    throw new Error(`Invalid inputs schema:\n${problems.join("\n")}`);
+  }
+};
+
+// ============================================
+// Compact Workflow Result
+// ============================================
+// What callers get back instead of the whole instance; secret values are
+// masked as they are in the REST API.
+export const workflowResult = (workflow) => ({
+  workflowId: workflow.id,
+  name: workflow.name,
+  status: workflow.status,
+  outputs: redactSecrets(workflow.outputs || {})
+});
+
+// ============================================
+// Mark Workflow Cancelled
+// ============================================
+const markCancelled = (workflow, reason) => {
+  workflow.status = "cancelled";
+  workflow.cancelReason = reason;
+  workflow.timeCancelled = Date.now();
+};
+
+// ============================================
+// Cancel Unfinished Tasks
+// ============================================
+const cancelUnfinishedTasks = (workflow, reason) => {
+  scanAllTasks(workflow.tasks, true, (task) => {
+    if (["waiting", "open", "executing", "paused"].includes(task.status)) {
+      markTaskCancelled(task, reason);
+    }
+    return true;
+  });
+};
+
+// ============================================
+// Mark Task Cancelled
+// ============================================
+const markTaskCancelled = (task, reason) => {
+  task.status = "cancelled";
+  task.errorMsg = `Cancelled: ${reason}`;
+  task.timeCompleted = Date.now();
+  if (task.timeStarted) {
+    task.handlerDuration = task.timeCompleted - task.timeStarted;
+  }
+};
+
+// ============================================
+// Pick Up a Cancellation Saved by Another Process
+// ============================================
+// cancelWorkflow in another process (the CLI, a producer node) can only mark
+// the saved instance cancelled, so it is re-read before more tasks start.
+// A cancellation saved since this execution started cancels it here too and
+// aborts its in-flight handlers; an older one is what a restart left behind.
+const syncCancellation = (workflow, callback) => {
+  const active = activeExecutions.get(workflow.id);
+  if (workflow.status === "cancelled" || !active) {
+    return callback();
+  }
+
+  store.loadInstance(workflow.id, 0, (err, saved) => {
+    // Not saved yet, so not cancelled either
+    if (!err && saved && saved.status === "cancelled" && saved.timeCancelled >= active.started) {
+      logger.info(`⊘ Workflow [${workflow.id}] was cancelled by another process: ${saved.cancelReason}`);
+      markCancelled(workflow, saved.cancelReason);
+      workflow.timeCancelled = saved.timeCancelled;
+      active.controller.abort(saved.cancelReason);
+    }
+    callback();
+  });
+};
+
+// ============================================
+// Get Cancellation Signal for a Workflow
+// ============================================
+// The execution's signal, or that of the queued task being run
+const getAbortSignal = (workflow) => {
+  const active = activeExecutions.get(workflow.id);
+  return active ? active.controller.signal : workflow[QUEUED_SIGNAL];
+};
+
 // ============================================
 // Merge Tasks
 // ============================================
@@ -101,6 +665,7 @@ const mergeTask = (originalTask, newTask) => {
   originalTask.status = newTask.status;
   originalTask.errorIf = newTask.errorIf;
   originalTask.skipIf = newTask.skipIf;
+  originalTask.runIf = newTask.runIf;
   originalTask.tasks = newTask.tasks;
 
   originalTask.timeCompleted = Date.now();
@@ -110,8 +675,22 @@ const mergeTask = (originalTask, newTask) => {
 // ============================================
 // Add Environment Variables
 // ============================================
+// workflow.environment declares the variable names the workflow needs. An
+// object (a saved instance, whose values may be redacted, or literal
+// defaults) declares its keys and keeps values for keys that are not exposed.
 const addEnvVars = (workflow) => {
-  workflow.environment = { ...process.env };
+  const declared = workflow.environment;
+
+  if (declared === undefined) {
+    workflow.environment = resolveEnvironment();
+  } else if (Array.isArray(declared) && declared.every((name) => typeof name === "string")) {
+    workflow.environment = resolveEnvironment(declared);
+  } else if (declared && typeof declared === "object" && !Array.isArray(declared)) {
+    workflow.environment = { ...declared, ...resolveEnvironment(Object.keys(declared)) };
+  } else {
+    throw new Error("Invalid workflow environment, expected an array of variable names");
+  }
+
   return workflow;
 };
 
@@ -122,181 +701,1290 @@ const execute = (workflow, callback) => {
   try {
     workflow = addEnvVars(workflow);
     workflow = validateWorkflow(workflow);
+  } catch (e) {
+    return callback(e, workflow);
+  }
 
+  const id = workflow.id;
+  activeExecutions.set(id, { workflow, controller: new AbortController(), started: Date.now() });
+
+  const done = (err, wf) => {
+    activeExecutions.delete(id);
+    callback(err, wf);
+  };
+
+  try {
     doPre(workflow, (err, wf) => {
       if (err) {
-        return callback(err, wf);
+        return finishExecution(err, wf, done);
       }
-      
-      realExecute(wf, (err2, wf2) => {
-        if (err2) {
-          return callback(err2, wf2);
-        }
-        
-        doPost(wf2, (err3, finalWf) => {
-          callback(err3, finalWf);
-        });
-      });
+      continueExecution(wf, done);
     });
   } catch (e) {
-    callback(e, workflow);
+    done(e, workflow);
+  }
+};
+
+// ============================================
+// Continue Execution - Tasks, Post Hook, Outputs
+// ============================================
+// While tasks are still out on workers (distributed mode) the workflow is
+// left open; the post hook and outputs wait for the last of them.
+const continueExecution = (workflow, callback) => {
+  realExecute(workflow, (err, wf) => {
+    if (err || wf.status === "cancelled") {
+      return finishExecution(err, wf, callback);
+    }
+    if (Object.keys(getTasksByStatus(wf, "executing", true)).length > 0) {
+      return callback(null, wf);
+    }
+
+    doPost(wf, (err2, finalWf) => {
+      if (err2) {
+        return finishExecution(err2, finalWf, callback);
+      }
+      setOutputValues(finalWf, (err3, outWf) => finishExecution(err3, outWf, callback));
+    });
+  });
+};
+
+// A workflow ending in error undoes its completed tasks first
+const finishExecution = (err, workflow, callback) => {
+  if (workflow && workflow.status === "error") {
+    return compensateWorkflow(workflow, err, callback);
+  }
+  callback(err, workflow);
+};
+
+// ============================================
+// Pre-workflow Hook
+// ============================================
+const doPre = (workflow, callback) => {
+  const task = workflow["pre workflow"];
+  executePrePost(workflow, "pre workflow", task, callback);
+};
+
+// ============================================
+// Post-workflow Hook
+// ============================================
+const doPost = (workflow, callback) => {
+  const task = workflow["post workflow"];
+  executePrePost(workflow, "post workflow", task, callback);
+};
+
+// ============================================
+// Evaluate Workflow Outputs
+// ============================================
+// Once every task has completed (and after the post workflow hook) the
+// outputTemplates are resolved into outputs and saved.
+const setOutputValues = (workflow, callback) => {
+  if (workflow.status !== "completed" || workflow.outputTemplates === undefined) {
+    return callback(null, workflow);
+  }
+
+  let outputError = null;
+  try {
+    const strict = getBoolean(workflow.strictReferences);
+    workflow.outputs = renderTemplate(
+      workflow.outputTemplates,
+      (ref) => resolveReference(ref, (path) => getData(workflow, path), strict)
+    );
+  } catch (refErr) {
+    outputError = new Error(`Workflow outputs: ${refErr.message}`);
+    workflow.status = "error";
+    workflow.errorMsg = outputError.message;
+  }
+
+  store.saveInstance(workflow, (saveErr) => {
+    logger.debug("save point e reached.");
+    callback(saveErr || outputError, workflow);
+  });
+};
+
+// ============================================
+// Compensate a Failed Workflow (saga)
+// ============================================
+// Completed tasks declaring a compensate task are undone in reverse order of
+// completion. Every compensation is attempted even when one fails; results
+// are recorded in workflow.compensation and the workflow ends "compensated"
+// or "compensation_failed". The original error is still reported.
+const compensateWorkflow = (workflow, err, callback) => {
+  const completed = [];
+  scanAllTasks(workflow.tasks, true, (task, name) => {
+    if (task.compensate && task.status === "completed" && task.handlerExecuted) {
+      completed.push({ name, task });
+    }
+    return true;
+  });
+
+  if (completed.length === 0) {
+    return callback(err, workflow);
+  }
+
+  // Latest first; tasks completing in the same millisecond go in reverse definition order
+  completed.reverse().sort((a, b) => b.task.timeCompleted - a.task.timeCompleted);
+  logger.info(`↺ Compensating ${completed.length} completed task(s) of workflow [${workflow.id}]`);
+  workflow.compensation = [];
+
+  asyncLib.eachSeries(
+    completed,
+    ({ name, task }, next) => {
+      const compensateName = `${name}.compensate`;
+      const compensateTask = JSON.parse(JSON.stringify(task.compensate));
+
+      applyTaskDefaults(workflow, compensateTask);
+      compensateTask.status = "executing";
+      compensateTask.timeOpened = Date.now();
+
+      runTask(workflow, compensateName, compensateTask, (compensateErr, returnedTask) => {
+        const result = returnedTask || compensateTask;
+        workflow.compensation.push({
+          task: name,
+          status: compensateErr ? "error" : result.status,
+          parameters: result.parameters,
+          errorMsg: compensateErr ? compensateErr.message : result.errorMsg,
+          timeCompleted: Date.now(),
+          handlerDuration: result.handlerDuration
+        });
+        next();
+      });
+    },
+    () => {
+      const failed = workflow.compensation.filter((result) => result.status === "error").length;
+      workflow.status = failed > 0 ? "compensation_failed" : "compensated";
+
+      if (failed > 0) {
+        logger.error(`✘ ${failed} compensation(s) of workflow [${workflow.id}] failed`);
+      } else {
+        logger.info(`↺ Workflow [${workflow.id}] compensated`);
+      }
+
+      if (err) {
+        err.compensated = true;
+      }
+      store.saveInstance(workflow, (saveErr) => {
+        logger.debug("save point f reached.");
+        callback(saveErr || err, workflow);
+      });
+    }
+  );
+};
+
+// ============================================
+// Execute Pre/Post Tasks
+// ============================================
+const executePrePost = (workflow, taskName, task, callback) => {
+  if (task) {
+    applyTaskDefaults(workflow, task);
+
+    task.status = "executing";
+    task.timeOpened = Date.now();
+
+    runTask(workflow, taskName, task, () => {
+      callback(null, workflow);
+    });
+  } else {
+    callback(null, workflow);
+  }
+};
+
+// ============================================
+// Validate Workflow
+// ============================================
+const validateWorkflow = (workflow) => {
+  // Deep clone to avoid mutations
+  const json = JSON.stringify(workflow);
+  workflow = JSON.parse(json);
+
+  workflow = bindInputs(workflow);
+  expandSwitchTasks(workflow);
+  setTaskStatusWaiting(workflow);
+  validateDependencies(workflow);
+  validateTimeouts(workflow);
+  validateRetryPolicies(workflow);
+  validateSideTasks(workflow);
+  validateForEach(workflow);
+  validateConditions(workflow);
+  validateOutputs(workflow);
+  validateReferences(workflow);
+
+  // A new instance keeps its tasks as defined, before any reference is
+  // resolved in them, so restartWorkflow can reset tasks to their definition.
+  // Queued instances already have an id, so this goes by whether a task has
+  // run yet.
+  if (!workflow.id) {
+    workflow.id = uuidv4();
+  }
+  if (!workflow.taskTemplates && !hasStartedTasks(workflow)) {
+    workflow.taskTemplates = JSON.parse(JSON.stringify(workflow.tasks));
+  }
+
+  return workflow;
+};
+
+// ============================================
+// Check a Definition Without Running It
+// ============================================
+// Runs the same checks as validateWorkflow on a copy, but keeps going after
+// a failing step; returns one message per problem (see validator.js).
+export const checkDefinition = (definition) => {
+  const workflow = JSON.parse(JSON.stringify(definition));
+  const problems = [];
+
+  const steps = [
+    (wf) => addEnvVars(wf),
+    (wf) => wf.inputs !== undefined && validateInputSchema(wf.inputs),
+    expandSwitchTasks,
+    setTaskStatusWaiting,
+    validateDependencies,
+    validateTimeouts,
+    validateRetryPolicies,
+    validateSideTasks,
+    validateForEach,
+    validateConditions,
+    validateOutputs,
+    validateReferences
+  ];
+
+  for (const step of steps) {
+    try {
+      step(workflow);
+    } catch (stepErr) {
+      // Multi-line messages are a heading followed by one problem per line
+      const lines = stepErr.message.split("\n");
+      problems.push(...(lines.length > 1 ? lines.slice(1) : lines));
+    }
+  }
+
+  return problems;
+};
+
+// ============================================
+// Validate Condition Expressions
+// ============================================
+// skipIf, errorIf, runIf, conditionalHandler expressions and the case names
+// of a switch without a value are parsed up front so a typo fails the
+// workflow before any task runs. Plain literals such as "yes" are not
+// expressions and need no parsing.
+const validateConditions = (workflow) => {
+  const problems = [];
+
+  const parse = (name, field, value) => {
+    if (typeof value !== "string" || isLiteralCondition(value)) return;
+    try {
+      parseExpression(value);
+    } catch (parseErr) {
+      problems.push(`Task [${name}] ${field}: ${parseErr.message}`);
+    }
+  };
+
+  const check = (task, name) => {
+    for (const field of CONDITION_FIELDS) {
+      parse(name, field, task[field]);
+    }
+
+    const conditions = task.parameters && task.parameters.conditions;
+    if (conditions && typeof conditions === "object") {
+      for (const conditionName of Object.keys(conditions)) {
+        const condition = conditions[conditionName];
+        if (condition && typeof condition === "object") {
+          parse(name, `condition [${conditionName}]`, condition.expression);
+        }
+      }
+    }
+
+    const sw = task.switch;
+    if (sw && typeof sw === "object" && sw.value === undefined && sw.cases && typeof sw.cases === "object") {
+      for (const caseName of Object.keys(sw.cases)) {
+        parse(name, `switch case [${caseName}]`, caseName);
+      }
+    }
+
+    if (task.forEach && typeof task.forEach.task === "object" && task.forEach.task !== null) {
+      check(task.forEach.task, `${name}.forEach.task`);
+    }
+  };
+
+  scanAllTasks(workflow.tasks, true, (task, name) => {
+    check(task, name);
+    return true;
+  });
+  for (const hook of ["pre workflow", "post workflow"]) {
+    if (workflow[hook]) check(workflow[hook], hook);
+  }
+
+  if (problems.length > 0) {
+    throw new Error(`Invalid condition expression(s):\n${problems.join("\n")}`);
+  }
+};
+
+// ============================================
+// Validate Outputs
+// ============================================
+// The definition's outputs map moves to outputTemplates, leaving outputs
+// for the resolved values (see setOutputValues).
+const validateOutputs = (workflow) => {
+  if (workflow.outputTemplates !== undefined || workflow.outputs === undefined) return;
+
+  const outputs = workflow.outputs;
+  if (typeof outputs !== "object" || outputs === null || Array.isArray(outputs)) {
+    throw new Error(`Workflow outputs must be a map of names to values such as "$[tasks.create.parameters.id]"`);
+  }
+
+  workflow.outputTemplates = outputs;
+  delete workflow.outputs;
+};
+
+// ============================================
+// Validate $[] References
+// ============================================
+// Catches unknown filters and malformed filter arguments before any task
+// runs; whether the data exists can only be known at run time.
+const validateReferences = (workflow) => {
+  const refs = findReferences([
+    workflow.tasks, workflow["pre workflow"], workflow["post workflow"], workflow.outputTemplates
+  ]);
+  const problems = [];
+
+  for (const ref of new Set(refs)) {
+    try {
+      parseReference(ref);
+    } catch (refErr) {
+      problems.push(refErr.message);
+    }
+  }
+
+  if (problems.length > 0) {
+    throw new Error(`Invalid reference(s):\n${problems.join("\n")}`);
+  }
+};
+
+// ============================================
+// Expand switch Tasks into Child Tasks
+// ============================================
+// The task groups in switch.cases (and switch.default) become ordinary
+// children tagged with switchCase, and each case is left listing its task
+// names. References such as $[tasks.route.tasks.notify.parameters] keep
+// working and expanding an already expanded instance is a no-op.
+const expandSwitchTasks = (workflow) => {
+  scanAllTasks(workflow.tasks, true, (task, name) => {
+    const sw = task.switch;
+    if (sw === undefined) return true;
+
+    if (typeof sw !== "object" || sw === null || typeof sw.cases !== "object" || sw.cases === null) {
+      throw new Error(`Task [${name}] switch must be an object with a cases map`);
+    }
+
+    const groups = { ...sw.cases };
+    if (sw.default !== undefined) {
+      if (groups.default !== undefined) {
+        throw new Error(`Task [${name}] switch cannot have a case named "default"`);
+      }
+      groups.default = sw.default;
+    }
+
+    const alreadyExpanded = Object.values(groups).every(Array.isArray);
+    if (alreadyExpanded) return true;
+
+    if (task.tasks || task.forEach) {
+      throw new Error(`Task [${name}] switch cannot also have child tasks or a forEach`);
+    }
+
+    task.tasks = {};
+    for (const [caseName, group] of Object.entries(groups)) {
+      if (typeof group !== "object" || group === null || Array.isArray(group)) {
+        throw new Error(`Task [${name}] switch case [${caseName}] must be a map of tasks`);
+      }
+
+      for (const [childName, child] of Object.entries(group)) {
+        if (task.tasks[childName]) {
+          throw new Error(`Task [${name}] switch declares task [${childName}] in more than one case`);
+        }
+        task.tasks[childName] = { ...child, switchCase: caseName };
+      }
+
+      const taskNames = Object.keys(group);
+      if (caseName === "default") {
+        sw.default = taskNames;
+      } else {
+        sw.cases[caseName] = taskNames;
+      }
+    }
+
+    return true;
+  });
+};
+
+// ============================================
+// Validate dependsOn Declarations
+// ============================================
+const validateDependencies = (workflow) => {
+  const { index, parents, duplicates } = indexTasks(workflow.tasks);
+  const problems = [];
+
+  for (const [name, task] of Object.entries(index)) {
+    if (task.onReject !== undefined) {
+      validateOnReject(name, task, index, duplicates, problems);
+    }
+
+    if (task.dependsOn === undefined) continue;
+
+    if (typeof task.dependsOn === "string") {
+      task.dependsOn = [task.dependsOn];
+    }
+
+    if (!Array.isArray(task.dependsOn)) {
+      problems.push(`Task [${name}] dependsOn must be a task name or an array of task names`);
+      continue;
+    }
+
+    for (const dep of task.dependsOn) {
+      if (!index[dep]) {
+        problems.push(`Task [${name}] depends on unknown task [${dep}]`);
+      } else if (duplicates.includes(dep)) {
+        problems.push(`Task [${name}] depends on [${dep}], which is not a unique task name`);
+      }
+    }
+  }
+
+  if (usesDependencies(workflow)) {
+    const cycle = findDependencyCycle(index, parents);
+    if (cycle) {
+      problems.push(`Dependency cycle detected: ${cycle.join(" → ")}`);
+    }
+  }
+
+  if (problems.length > 0) {
+    throw new Error(`Invalid workflow dependencies:\n${problems.join("\n")}`);
+  }
+};
+
+// ============================================
+// Validate onReject Branches (approval tasks)
+// ============================================
+const validateOnReject = (name, task, index, duplicates, problems) => {
+  if (typeof task.onReject === "string") {
+    task.onReject = [task.onReject];
+  }
+
+  if (!Array.isArray(task.onReject)) {
+    problems.push(`Task [${name}] onReject must be a task name or an array of task names`);
+    return;
+  }
+
+  for (const target of task.onReject) {
+    if (!index[target]) {
+      problems.push(`Task [${name}] onReject names unknown task [${target}]`);
+    } else if (duplicates.includes(target)) {
+      problems.push(`Task [${name}] onReject names [${target}], which is not a unique task name`);
+    }
+  }
+};
+
+// ============================================
+// Validate Task Timeouts
+// ============================================
+const validateTimeouts = (workflow) => {
+  if (workflow.defaultTaskTimeout !== undefined) {
+    parseDuration(workflow.defaultTaskTimeout);
+  }
+
+  scanAllTasks(workflow.tasks, true, (task, name) => {
+    if (task.timeout !== undefined) {
+      try {
+        parseDuration(task.timeout);
+      } catch (e) {
+        throw new Error(`Task [${name}] has an invalid timeout: ${e.message}`);
+      }
+    }
+    return true;
+  });
+};
+
+// ============================================
+// Validate Task Retry Policies
+// ============================================
+const validateRetryPolicies = (workflow) => {
+  const strategies = retrySystem.getStats().strategies;
+
+  scanAllTasks(workflow.tasks, true, (task, name) => {
+    const retry = task.retry;
+    if (retry === undefined) return true;
+
+    const problems = [];
+
+    if (typeof retry !== "object" || retry === null || Array.isArray(retry)) {
+      problems.push("retry must be an object");
+    } else {
+      if (retry.maxAttempts !== undefined && !(Number.isInteger(retry.maxAttempts) && retry.maxAttempts >= 1)) {
+        problems.push("retry.maxAttempts must be a positive integer");
+      }
+      if (retry.strategy !== undefined && !strategies.includes(retry.strategy)) {
+        problems.push(`retry.strategy must be one of ${strategies.join(", ")}`);
+      }
+      if (retry.baseDelay !== undefined) {
+        try {
+          parseDuration(retry.baseDelay);
+        } catch (e) {
+          problems.push(`retry.baseDelay: ${e.message}`);
+        }
+      }
+      if (retry.jitter !== undefined && typeof retry.jitter !== "boolean" &&
+          !(typeof retry.jitter === "number" && retry.jitter >= 0 && retry.jitter <= 1)) {
+        problems.push("retry.jitter must be a boolean or a number between 0 and 1");
+      }
+      if (retry.retryOn !== undefined) {
+        const patterns = [].concat(retry.retryOn);
+        if (patterns.length === 0 || !patterns.every((pattern) => typeof pattern === "string")) {
+          problems.push("retry.retryOn must be a string or an array of strings");
+        } else {
+          patterns.forEach((pattern) => {
+            try {
+              retryOnPattern(pattern);
+            } catch (e) {
+              problems.push(`retry.retryOn: ${e.message}`);
+            }
+          });
+        }
+      }
+    }
+
+    if (problems.length > 0) {
+      throw new Error(`Task [${name}] has an invalid retry policy: ${problems.join("; ")}`);
+    }
+    return true;
+  });
+};
+
+// ============================================
+// Validate compensate and fallback Tasks
+// ============================================
+// Both are a single handler task run on the side, so they cannot nest
+// tasks or take part in dependencies.
+const validateSideTasks = (workflow) => {
+  const problems = [];
+
+  scanAllTasks(workflow.tasks, true, (task, name) => {
+    for (const field of ["compensate", "fallback"]) {
+      const sideTask = task[field];
+      if (sideTask === undefined) continue;
+
+      if (typeof sideTask !== "object" || sideTask === null || Array.isArray(sideTask)) {
+        problems.push(`Task [${name}] ${field} must be a task with a handler`);
+        continue;
+      }
+      if (typeof sideTask.handler !== "string" || sideTask.handler.trim() === "") {
+        problems.push(`Task [${name}] ${field} must name a handler`);
+      }
+
+      const nested = ["tasks", "forEach", "switch", "dependsOn", "onReject", "compensate", "fallback"]
+        .filter((key) => sideTask[key] !== undefined);
+      if (nested.length > 0) {
+        problems.push(`Task [${name}] ${field} cannot have ${nested.join(", ")}`);
+      }
+
+      if (sideTask.timeout !== undefined) {
+        try {
+          parseDuration(sideTask.timeout);
+        } catch (e) {
+          problems.push(`Task [${name}] ${field} timeout: ${e.message}`);
+        }
+      }
+    }
+    return true;
+  });
+
+  if (problems.length > 0) {
+    throw new Error(`Invalid compensate or fallback task(s):\n${problems.join("\n")}`);
+  }
+};
+
+// ============================================
+// Validate forEach Tasks
+// ============================================
+const validateForEach = (workflow) => {
+  const check = (task, name) => {
+    const forEach = task.forEach;
+    if (forEach === undefined) return;
+
+    const problems = [];
+
+    if (typeof forEach !== "object" || forEach === null) {
+      problems.push("forEach must be an object");
+    } else {
+      if (forEach.items === undefined) {
+        problems.push("forEach.items is required");
+      }
+      if (typeof forEach.task !== "object" || forEach.task === null) {
+        problems.push("forEach.task must be a task definition");
+      } else if (forEach.task.tasks) {
+        problems.push("forEach.task cannot have child tasks");
+      }
+      if (forEach.maxConcurrency !== undefined &&
+          !(Number.isInteger(forEach.maxConcurrency) && forEach.maxConcurrency >= 1)) {
+        problems.push("forEach.maxConcurrency must be a positive integer");
+      }
+    }
+    if (task.handler || task.tasks) {
+      problems.push("a forEach task cannot also have a handler or child tasks");
+    }
+
+    if (problems.length > 0) {
+      throw new Error(`Task [${name}] has an invalid forEach: ${problems.join("; ")}`);
+    }
+
+    check(forEach.task, `${name}.forEach.task`);
+  };
+
+  scanAllTasks(workflow.tasks, true, (task, name) => {
+    check(task, name);
+    return true;
+  });
+};
+
+// ============================================
+// Index Tasks by Name (all levels)
+// ============================================
+const indexTasks = (tasks) => {
+  const index = {};
+  const parents = {};
+  const duplicates = [];
+
+  const walk = (children, parentName) => {
+    scanAllTasks(children, false, (task, name) => {
+      if (index[name]) {
+        duplicates.push(name);
+      }
+      index[name] = task;
+      parents[name] = parentName;
+
+      if (task.tasks) {
+        walk(task.tasks, name);
+      }
+      return true;
+    });
+  };
+
+  walk(tasks, null);
+  return { index, parents, duplicates };
+};
+
+// ============================================
+// Check if Workflow Declares Any dependsOn
+// ============================================
+export const usesDependencies = (workflow) => {
+  let found = false;
+
+  scanAllTasks(workflow.tasks, true, (task) => {
+    found = task.dependsOn !== undefined;
+    return !found;
+  });
+
+  return found;
+};
+
+// ============================================
+// Check if Any Task Has Left "waiting"
+// ============================================
+const hasStartedTasks = (workflow) => {
+  let started = false;
+
+  scanAllTasks(workflow.tasks, true, (task) => {
+    started = task.status !== "waiting";
+    return !started;
+  });
+
+  return started;
+};
+
+// ============================================
+// List the Tasks a Task dependsOn
+// ============================================
+const dependsOnList = (task) => (Array.isArray(task.dependsOn) ? task.dependsOn : []);
+
+// ============================================
+// Find a Cycle in the Dependency Graph
+// ============================================
+// A task effectively waits for its own dependsOn, its ancestors' dependsOn
+// (it cannot open before its parent does) and its children (a parent only
+// executes once every child has completed).
+const findDependencyCycle = (index, parents) => {
+  const edges = {};
+
+  for (const name of Object.keys(index)) {
+    const deps = new Set(dependsOnList(index[name]));
+
+    for (let p = parents[name]; p; p = parents[p]) {
+      dependsOnList(index[p]).forEach((dep) => deps.add(dep));
+    }
+
+    // Unknown tasks are reported separately and cannot be part of a cycle
+    edges[name] = [...deps].filter((dep) => index[dep]);
+  }
+
+  for (const [name, parentName] of Object.entries(parents)) {
+    if (parentName) {
+      edges[parentName].push(name);
+    }
+  }
+
+  const state = {};
+  const path = [];
+
+  const visit = (name) => {
+    state[name] = "visiting";
+    path.push(name);
+
+    for (const next of edges[name]) {
+      if (state[next] === "visiting") {
+        return [...path.slice(path.indexOf(next)), next];
+      }
+      if (!state[next]) {
+        const cycle = visit(next);
+        if (cycle) return cycle;
+      }
+    }
+
+    path.pop();
+    state[name] = "done";
+    return null;
+  };
+
+  for (const name of Object.keys(edges)) {
+    if (!state[name]) {
+      const cycle = visit(name);
+      if (cycle) return cycle;
+    }
+  }
+
+  return null;
+};
+
+// ============================================
+// Get Tasks by Status
+// ============================================
+const getTasksByStatus = (parent, status, deep) => {
+  const openTasks = {};
+
+  scanAllTasks(parent.tasks, deep, (task, name) => {
+    if (task.status === status) {
+      openTasks[name] = task;
+    }
+    return true;
+  });
+
+  return openTasks;
+};
+
+// ============================================
+// Execute Single Task
+// ============================================
+const executeTask = async (workflow, taskName, taskObject, callback) => {
+  taskObject.timeStarted = Date.now();
+
+  const skip =
+    taskObject.skipIf === true ||
+    taskObject.runIf === false ||
+    taskObject.errorIf === true ||
+    !taskObject.handler;
+
+  taskObject.handlerExecuted = !skip;
+
+  if (!skip) {
+    logger.info(`⧖ Starting task [${taskName}]`);
+
+    let handler;
+    try {
+      handler = await resolveHandler(taskObject.handler);
+    } catch (requireError) {
+      if (taskObject.fallback) {
+        const loadError = new Error(`Missing module or unexpected error! ${requireError.message}`);
+        return runFallback(workflow, taskName, taskObject, loadError, callback);
+      }
+      taskObject.errorMsg = requireError.message;
+      taskObject.status = "error";
+      callback(new Error(`Missing module or unexpected error! ${requireError.message}`), taskObject);
+      return;
+    }
+
+    const policy = getRetryPolicy(taskObject);
+    const signal = getAbortSignal(workflow);
+
+    const runAttempt = (attempt) => {
+      const attemptStarted = Date.now();
+
+      invokeHandler(handler, workflow, taskName, taskObject, signal, (attemptErr, returnedTask) => {
+        let err = attemptErr;
+        if (policy) {
+          recordAttempt(returnedTask, attempt, attemptStarted, err);
+        }
+
+        if (err && signal && signal.aborted) {
+          logger.info(`⊘ Task [${taskName}] cancelled.`);
+          markTaskCancelled(returnedTask, String(signal.reason));
+          return callback(null, returnedTask);
+        }
+
+        // A retryOn that cannot be matched fails the task instead of the engine
+        let retry = false;
+        if (err && policy && attempt < policy.maxAttempts) {
+          try {
+            retry = shouldRetry(policy, err);
+          } catch (patternErr) {
+            err = new Error(`${err.message} (retry.retryOn ${patternErr.message})`);
+          }
+        }
+
+        if (retry) {
+          const delay = retrySystem.calculateDelay(attempt, policy);
+          logger.warn(
+            `↻ Task [${taskName}] attempt ${attempt}/${policy.maxAttempts} failed, ` +
+            `retrying in ${delay}ms: ${err.message}`
+          );
+
+          returnedTask.status = "executing";
+          delete returnedTask.errorMsg;
+          delete returnedTask.timedOut;
+
+          // A cancellation during the back-off starts the next attempt at
+          // once, which then settles as cancelled
+          const retryNext = () => {
+            clearTimeout(retryTimer);
+            if (signal) {
+              signal.removeEventListener("abort", retryNext);
+            }
+            runAttempt(attempt + 1);
+          };
+          const retryTimer = setTimeout(retryNext, delay);
+          if (signal) {
+            signal.addEventListener("abort", retryNext, { once: true });
+          }
+          return;
+        }
+
+        if (returnedTask.timedOut && returnedTask.status === "executing") {
+          returnedTask.handlerDuration = Date.now() - returnedTask.timeStarted;
+          returnedTask.totalDuration = Date.now() - returnedTask.timeOpened;
+        }
+
+        if (err && returnedTask.fallback) {
+          return runFallback(workflow, taskName, returnedTask, err, callback);
+        }
+
+        finishTask(taskName, err, returnedTask, callback);
+      });
+    };
+
+    runAttempt(1);
+  } else {
+    let err = null;
+
+    if (taskObject.errorIf === true) {
+      err = new Error(`Task [${taskName}] has error condition set.`);
+      taskObject.errorMsg = err.message;
+      taskObject.status = "error";
+    }
+
+    if (taskObject.status === "executing") {
+      taskObject.status = "completed";
+      taskObject.timeCompleted = Date.now();
+      taskObject.handlerDuration = taskObject.timeCompleted - taskObject.timeStarted;
+      taskObject.totalDuration = taskObject.timeCompleted - taskObject.timeOpened;
+    }
+
+    callback(err, taskObject);
+  }
+};
+
+// ============================================
+// Run a Task's Fallback
+// ============================================
+// Once the handler has failed for good (after its retries) the fallback
+// task runs with $[error.message] available. Its parameters are merged over
+// the task's, which completes with usedFallback and the primary error kept
+// as primaryError. A failing fallback fails the task with both errors.
+const runFallback = (workflow, taskName, taskObject, err, callback) => {
+  logger.warn(`↪ Task [${taskName}] failed, running its fallback: ${err.message}`);
+
+  const fallbackTask = JSON.parse(JSON.stringify(taskObject.fallback));
+  const scope = { ...workflow, error: { message: err.message, code: err.code } };
+
+  applyTaskDefaults(workflow, fallbackTask);
+  fallbackTask.status = "executing";
+  fallbackTask.timeOpened = Date.now();
+
+  runTask(scope, `${taskName}.fallback`, fallbackTask, (fallbackErr, returnedTask) => {
+    const result = returnedTask || fallbackTask;
+    taskObject.primaryError = err.message;
+    delete taskObject.errorMsg;
+
+    if (result.status === "cancelled") {
+      markTaskCancelled(taskObject, result.errorMsg);
+      return callback(null, taskObject);
+    }
+
+    if (fallbackErr) {
+      taskObject.fallbackError = fallbackErr.message;
+      return finishTask(taskName, new Error(`${err.message} (fallback failed: ${fallbackErr.message})`), taskObject, callback);
+    }
+
+    taskObject.usedFallback = true;
+    taskObject.parameters = { ...taskObject.parameters, ...result.parameters };
+    taskObject.status = "executing";
+    finishTask(taskName, null, taskObject, callback);
+  });
+};
+
+// ============================================
+// Invoke Handler - One Attempt
+// ============================================
+// Only the first outcome counts: the handler's callback, its promise, a
+// thrown error, the task timeout or the workflow being cancelled. Anything
+// reported afterwards is logged and ignored. The signal the handler gets
+// aborts on a timeout as well as on cancellation, so it stops its work
+// before a retry starts another attempt.
+//
+// A handler module (or registration) may declare its style, "promise" or
+// "callback"; otherwise one declaring exactly one parameter is promise style.
+// Promise style handlers get a context object (see createHandlerContext)
+// and resolve with their output parameters. Others are called as
+// (workflowId, taskName, task, callback, signal). When those return a
+// thenable without taking the callback, e.g. async (workflowId, taskName,
+// task) or (...args), it settles the task as well.
+const invokeHandler = (handler, workflow, taskName, taskObject, signal, done) => {
+  const handlerFn = handler.default;
+  const style = handler.style || (handlerFn.length === 1 ? "promise" : "callback");
+  const attempt = new AbortController();
+  let settled = false;
+  let timer = null;
+
+  const onAbort = () => {
+    attempt.abort(signal.reason);
+    settle(new Error(`Task [${taskName}] cancelled: ${signal.reason}`), taskObject);
+  };
+
+  const settle = (err, returnedTask) => {
+    if (settled) {
+      if (!attempt.signal.aborted) {
+        logger.warn(`Task [${taskName}] called back after it had already finished, ignoring it.`);
+      }
+      return;
+    }
+    settled = true;
+    clearTimeout(timer);
+    if (signal) {
+      signal.removeEventListener("abort", onAbort);
+    }
+
+    // Handlers may report an error that is not an Error, or call back
+    // without the task
+    if (err && !(err instanceof Error)) {
+      err = new Error(typeof err === "string" ? err : `Task [${taskName}] failed: ${JSON.stringify(err)}`);
+    }
+    done(err, returnedTask && typeof returnedTask === "object" ? returnedTask : taskObject);
+  };
+
+  if (signal) {
+    if (signal.aborted) {
+      return onAbort();
+    }
+    signal.addEventListener("abort", onAbort, { once: true });
+  }
+
+  if (taskObject.timeout !== undefined) {
+    const timeoutMs = parseDuration(taskObject.timeout);
+
+    timer = setTimeout(() => {
+      const err = new Error(`Task [${taskName}] timed out after ${timeoutMs}ms`);
+      logger.error(`⌛ ${err.message}`);
+
+      taskObject.timedOut = true;
+      attempt.abort(err.message);
+      settle(err, taskObject);
+    }, timeoutMs);
+  }
+
+  const rejected = (handlerError) => {
+    settle(handlerError || new Error(`Task [${taskName}] handler rejected without a reason`), taskObject);
+  };
+
+  try {
+    if (style === "promise") {
+      const context = createHandlerContext(workflow, taskName, taskObject, attempt.signal);
+      Promise.resolve(handlerFn(context)).then(
+        (output) => settle(null, applyHandlerOutput(taskObject, output)),
+        rejected
+      );
+    } else {
+      const returned = handlerFn(workflow.id, taskName, taskObject, settle, attempt.signal);
+      if (returned && typeof returned.then === "function") {
+        // An async handler taking the callback may resolve before calling it
+        const takesCallback = handler.style === "callback" || handlerFn.length >= 4;
+        const resolved = (output) => {
+          if (!settled) {
+            settle(null, applyHandlerOutput(taskObject, output));
+          }
+        };
+        returned.then(takesCallback ? null : resolved, rejected);
+      }
+    }
+  } catch (handlerError) {
+    settle(handlerError, taskObject);
   }
 };
 
 // ============================================
-// Pre-workflow Hook
+// Promise Style Handlers
 // ============================================
-const doPre = (workflow, callback) => {
-  const task = workflow["pre workflow"];
-  executePrePost(workflow, "pre workflow", task, callback);
+// emit(event, data) records progress on the task as events[], which is
+// saved with the instance.
+const createHandlerContext = (workflow, taskName, taskObject, signal) => ({
+  workflowId: workflow.id,
+  taskName,
+  task: taskObject,
+  inputs: workflow.inputs || {},
+  signal,
+  logger,
+  emit: (event, data) => {
+    taskObject.events = taskObject.events || [];
+    taskObject.events.push({ event, data, time: Date.now() });
+    logger.verbose(`📣 Task [${taskName}] emitted ${event}`);
+  }
+});
+
+// A plain object is merged into the task's parameters, any other value is
+// stored as parameters.result; resolving with nothing (or the task) keeps it
+const applyHandlerOutput = (taskObject, output) => {
+  if (output === undefined || output === null || output === taskObject) {
+    return taskObject;
+  }
+
+  taskObject.parameters = taskObject.parameters || {};
+  if (typeof output === "object" && !Array.isArray(output)) {
+    Object.assign(taskObject.parameters, output);
+  } else {
+    taskObject.parameters.result = output;
+  }
+  return taskObject;
 };
 
 // ============================================
-// Post-workflow Hook
+// Get Task Retry Policy
 // ============================================
-const doPost = (workflow, callback) => {
-  const task = workflow["post workflow"];
-  executePrePost(workflow, "post workflow", task, callback);
+const getRetryPolicy = (task) => {
+  if (!task.retry) {
+    return null;
+  }
+
+  return {
+    maxAttempts: 3,
+    strategy: "exponential",
+    ...task.retry,
+    baseDelay: task.retry.baseDelay !== undefined ? parseDuration(task.retry.baseDelay) : undefined
+  };
 };
 
 // ============================================
-// Execute Pre/Post Tasks
+// Check if an Error Matches retryOn
 // ============================================
-const executePrePost = (workflow, taskName, task, callback) => {
-  if (task) {
-    setTaskDataValues(workflow, task);
-    setConditionValues(task);
+// retryOn entries are case-insensitive substrings of the error message, or
+// regular expressions written as "/pattern/flags". No retryOn retries all.
+// Throws when a regular expression does not compile.
+const shouldRetry = (policy, err) => {
+  if (policy.retryOn === undefined) {
+    return true;
+  }
 
-    task.status = "executing";
-    task.timeOpened = Date.now();
+  const patterns = Array.isArray(policy.retryOn) ? policy.retryOn : [policy.retryOn];
+  const message = err.message || String(err);
 
-    executeTask(workflow.id, taskName, task, () => {
-      callback(null, workflow);
-    });
-  } else {
-    callback(null, workflow);
+  return patterns.some((pattern) => {
+    const regex = retryOnPattern(pattern);
+    if (regex) {
+      return regex.test(message);
+    }
+    return message.toLowerCase().includes(String(pattern).toLowerCase());
+  });
+};
+
+// The regular expression of a "/pattern/flags" retryOn entry, null for a substring
+const retryOnPattern = (pattern) => {
+  const regex = String(pattern).match(/^\/(.+)\/([a-z]*)$/);
+  if (!regex) {
+    return null;
+  }
+  try {
+    return new RegExp(regex[1], regex[2]);
+  } catch (e) {
+    throw new Error(`[${pattern}] is not a valid regular expression`);
   }
 };
 
 // ============================================
-// Validate Workflow
+// Record a Task Attempt
 // ============================================
-const validateWorkflow = (workflow) => {
-  // Deep clone to avoid mutations
-  const json = JSON.stringify(workflow);
-  workflow = JSON.parse(json);
+const recordAttempt = (task, attempt, timeStarted, err) => {
+  const timeCompleted = Date.now();
+
+  task.attempts = task.attempts || [];
+  task.attempts.push({
+    attempt,
+    status: err ? "error" : "completed",
+    errorMsg: err ? err.message : undefined,
+    timedOut: task.timedOut === true || undefined,
+    timeStarted,
+    timeCompleted,
+    duration: timeCompleted - timeStarted
+  });
+};
 
-  setTaskStatusWaiting(workflow);
+// ============================================
+// Finish Task - Apply Handler Outcome
+// ============================================
+const finishTask = (taskName, err, returnedTask, callback) => {
+  if (err) {
+    returnedTask.errorMsg = err.message;
+    returnedTask.status = "error";
+
+    if (returnedTask.ignoreError === true) {
+      logger.info(`Ignoring error for task [${taskName}]`);
+      returnedTask.status = "executing";
+      err = null; // Clear error
+    }
+  } else {
+    logger.info(`✔ Task ${taskName} completed successfully.`);
+  }
 
-  if (!workflow.id) {
-    workflow.id = uuidv4();
+  if (returnedTask.status === "executing") {
+    returnedTask.status = "completed";
+    returnedTask.timeCompleted = Date.now();
+    returnedTask.handlerDuration = returnedTask.timeCompleted - returnedTask.timeStarted;
+    returnedTask.totalDuration = returnedTask.timeCompleted - returnedTask.timeOpened;
   }
 
-  return workflow;
+  if (returnedTask.status === "paused") {
+    returnedTask.handlerDuration = Date.now() - returnedTask.timeStarted;
+  }
+
+  callback(err, returnedTask);
 };
 
 // ============================================
-// Get Tasks by Status
+// Run Task - Handler or forEach
 // ============================================
-const getTasksByStatus = (parent, status, deep) => {
-  const openTasks = {};
-
-  scanAllTasks(parent.tasks, deep, (task, name) => {
-    if (task.status === status) {
-      openTasks[name] = task;
-    }
-    return true;
-  });
+// Resolves the task's references and conditions first; a reference that
+// cannot be resolved fails the task without running it.
+const runTask = (workflow, taskName, taskObject, callback) => {
+  try {
+    setTaskDataValues(workflow, taskObject);
+  } catch (refErr) {
+    taskObject.timeStarted = Date.now();
+    taskObject.handlerExecuted = false;
+    return finishTask(taskName, new Error(`Task [${taskName}] ${refErr.message}`), taskObject, callback);
+  }
+  setConditionValues(taskObject, workflow);
 
-  return openTasks;
+  if (taskObject.forEach && taskObject.skipIf !== true && taskObject.runIf !== false && taskObject.errorIf !== true) {
+    executeForEach(workflow, taskName, taskObject, callback);
+  } else {
+    executeTask(workflow, taskName, taskObject, callback);
+  }
 };
 
 // ============================================
-// Execute Single Task
+// Execute forEach - Fan Out Over an Array
 // ============================================
-const executeTask = async (workflowId, taskName, taskObject, callback) => {
+// Expands forEach.task once per element of forEach.items, with $[item] and
+// $[index] resolvable inside the copy, and runs at most
+// forEach.maxConcurrency copies at a time. Per-item outcomes are collected
+// into parameters.results; the task fails if any item failed.
+const executeForEach = (workflow, taskName, taskObject, callback) => {
   taskObject.timeStarted = Date.now();
+  taskObject.handlerExecuted = true;
 
-  const skip =
-    taskObject.skipIf === true ||
-    taskObject.errorIf === true ||
-    !taskObject.handler;
-
-  taskObject.handlerExecuted = !skip;
-
-  if (!skip) {
-    logger.info(`⧖ Starting task [${taskName}]`);
+  const holder = { items: taskObject.forEach.items };
+  try {
+    setTaskDataValues(workflow, holder, getBoolean(taskObject.strictReferences ?? workflow.strictReferences));
+  } catch (refErr) {
+    return finishTask(taskName, new Error(`Task [${taskName}] ${refErr.message}`), taskObject, callback);
+  }
+  const items = holder.items;
+
+  if (!Array.isArray(items)) {
+    return finishTask(
+      taskName,
+      new Error(`Task [${taskName}] forEach.items did not resolve to an array`),
+      taskObject,
+      callback
+    );
+  }
 
-    try {
-      // Dynamic import with proper error handling
-      const handler = await import(taskObject.handler);
-      
-      if (!handler.default || typeof handler.default !== 'function') {
-        throw new Error(`Handler module must export a default function`);
-      }
-
-      handler.default(workflowId, taskName, taskObject, (err, returnedTask) => {
-        if (err) {
-          returnedTask.errorMsg = err.message;
-          returnedTask.status = "error";
-
-          if (returnedTask.ignoreError === true) {
-            logger.info(`Ignoring error for task [${taskName}]`);
-            returnedTask.status = "executing";
-            err = null; // Clear error
-          }
-        } else {
-          logger.info(`✔ Task ${taskName} completed successfully.`);
-        }
+  logger.info(`⧖ Starting task [${taskName}] for ${items.length} item(s)`);
 
-        if (returnedTask.status === "executing") {
-          returnedTask.status = "completed";
-          returnedTask.timeCompleted = Date.now();
-          returnedTask.handlerDuration = returnedTask.timeCompleted - returnedTask.timeStarted;
-          returnedTask.totalDuration = returnedTask.timeCompleted - returnedTask.timeOpened;
-        }
+  const limit = taskObject.forEach.maxConcurrency || Math.max(items.length, 1);
 
-        if (returnedTask.status === "paused") {
-          returnedTask.handlerDuration = Date.now() - returnedTask.timeStarted;
-        }
+  asyncLib.mapLimit(
+    items.map((item, index) => ({ item, index })),
+    limit,
+    ({ item, index }, done) => {
+      const signal = getAbortSignal(workflow);
+      if (signal && signal.aborted) {
+        return done(null, { index, status: "cancelled" });
+      }
 
-        callback(err, returnedTask);
+      const itemName = `${taskName}[${index}]`;
+      const itemTask = JSON.parse(JSON.stringify(taskObject.forEach.task));
+      const scope = { ...workflow, item, index };
+
+      applyTaskDefaults(workflow, itemTask);
+      itemTask.status = "executing";
+      itemTask.timeOpened = Date.now();
+
+      runTask(scope, itemName, itemTask, (err, returnedTask) => {
+        const result = returnedTask || itemTask;
+        done(null, {
+          index,
+          status: err ? "error" : result.status,
+          parameters: result.parameters,
+          errorMsg: err ? err.message : result.errorMsg,
+          handlerDuration: result.handlerDuration
+        });
       });
-    } catch (requireError) {
-      taskObject.errorMsg = requireError.message;
-      taskObject.status = "error";
-      callback(new Error(`Missing module or unexpected error! ${requireError.message}`), taskObject);
-    }
-  } else {
-    let err = null;
+    },
+    (asyncErr, results) => {
+      taskObject.parameters = taskObject.parameters || {};
+      taskObject.parameters.results = results;
+
+      const signal = getAbortSignal(workflow);
+      if (signal && signal.aborted) {
+        markTaskCancelled(taskObject, String(signal.reason));
+        return callback(null, taskObject);
+      }
 
-    if (taskObject.errorIf === true) {
-      err = new Error(`Task [${taskName}] has error condition set.`);
-      taskObject.errorMsg = err.message;
-      taskObject.status = "error";
-    }
+      const failed = results.filter((result) => result.status === "error").length;
+      const err = failed > 0
+        ? new Error(`Task [${taskName}] failed for ${failed} of ${items.length} item(s)`)
+        : null;
 
-    if (taskObject.status === "executing") {
-      taskObject.status = "completed";
-      taskObject.timeCompleted = Date.now();
-      taskObject.handlerDuration = taskObject.timeCompleted - taskObject.timeStarted;
-      taskObject.totalDuration = taskObject.timeCompleted - taskObject.timeOpened;
+      finishTask(taskName, err, taskObject, callback);
     }
-
-    callback(err, taskObject);
-  }
+  );
 };
 
 // ============================================
 // Real Execute - Core Workflow Logic
 // ============================================
 function realExecute(workflow, callback) {
-  store.saveInstance(workflow, (err) => {
+  syncCancellation(workflow, () => store.saveInstance(workflow, (err) => {
     logger.debug("save point a reached.");
     if (err) {
       return callback(err, workflow);
     }
 
+    if (workflow.status === "cancelled") {
+      return finishCancelled(workflow, callback);
+    }
+
     // Check paused tasks — if any, finish immediately
     const pausedTasks = getTasksByStatus(workflow, "paused", true);
     if (Object.keys(pausedTasks).length > 0) {
@@ -304,138 +1992,283 @@ function realExecute(workflow, callback) {
       return callback(null, workflow);
     }
 
-    // Open any waiting & available tasks
-    openNextAvailableTask(workflow);
+    if (workflow.distributed && taskDispatcher) {
+      return dispatchRunnableTasks(workflow, callback);
+    }
+
+    // With dependsOn, newly satisfied tasks start as soon as a dependency
+    // completes; otherwise the batch runs to completion before re-scanning
+    const eager = usesDependencies(workflow);
+    let inFlight = 0;
+    let firstError = null;
+
+    // Open any waiting & available tasks and start the runnable ones
+    const startRunnableTasks = () => {
+      openNextAvailableTask(workflow);
+
+      const openTasks = getTasksByStatus(workflow, "open", true);
+      const runnable = Object.keys(openTasks).filter((taskName) => {
+        const task = openTasks[taskName];
+        // Tasks with children only run once ALL children have completed
+        return !task.tasks || childHasStatus(task, "completed", true);
+      });
+
+      for (const taskName of runnable) {
+        const task = openTasks[taskName];
+        applyTaskDefaults(workflow, task);
+        task.status = "executing";
+      }
 
-    // Get all open tasks
-    const openTasks = getTasksByStatus(workflow, "open", true);
-    const taskNames = Object.keys(openTasks);
+      inFlight += runnable.length;
+      runnable.forEach((taskName) => {
+        runTask(workflow, taskName, openTasks[taskName], onTaskDone);
+      });
 
-    const taskExecutionQueue = [];
+      return runnable.length;
+    };
 
-    // Prepare async execution function
-    const makeTaskExecutionFunction = (i) => (cb) => {
-      const taskName = taskNames[i];
-      const taskObject = openTasks[taskName];
-      executeTask(workflow.id, taskName, taskObject, cb);
+    // Settled tasks are counted once the store has been re-read, so the
+    // batch cannot end while a cancellation is being picked up
+    const onTaskDone = (error) => {
+      if (error && !firstError) {
+        firstError = error;
+      }
+      syncCancellation(workflow, afterTaskDone);
     };
 
-    // Loop through open tasks and enqueue runnable ones
-    for (let i = 0; i < taskNames.length; i++) {
-      const task = openTasks[taskNames[i]];
-      const taskFn = makeTaskExecutionFunction(i);
+    const afterTaskDone = () => {
+      inFlight--;
 
-      // If open and no children → run
-      if (task.status === "open" && !task.tasks) {
-        setTaskDataValues(workflow, task);
-        setConditionValues(task);
-        task.status = "executing";
-        taskExecutionQueue.push(taskFn);
+      const paused = Object.keys(getTasksByStatus(workflow, "paused", true)).length > 0;
+      const cancelled = workflow.status === "cancelled";
+      if (eager && !firstError && !paused && !cancelled) {
+        startRunnableTasks();
       }
 
-      // If open + has children but ALL completed → run
-      if (task.status === "open" && task.tasks) {
-        if (childHasStatus(task, "completed", true)) {
-          setTaskDataValues(workflow, task);
-          setConditionValues(task);
-          task.status = "executing";
-          taskExecutionQueue.push(taskFn);
-        }
+      if (inFlight > 0) {
+        return;
       }
-    }
 
-    // Execute tasks in parallel
-    if (taskExecutionQueue.length > 0) {
-      asyncLib.parallel(taskExecutionQueue, (error, results) => {
-        if (!error) {
-          // Continue to next batch of tasks
-          return realExecute(workflow, callback);
-        }
+      if (cancelled) {
+        return finishCancelled(workflow, callback);
+      }
 
-        // Error: mark workflow as failed
-        workflow.status = "error";
-        store.saveInstance(workflow, (saveErr) => {
-          logger.debug("save point b reached.");
-          if (saveErr) {
-            return callback(saveErr, workflow);
-          }
-          return callback(error, workflow);
-        });
-      });
-    } else {
-      // No tasks to run → check workflow completion
-      if (childHasStatus(workflow, "completed", true)) {
-        workflow.status = "completed";
+      if (!firstError) {
+        // Continue to next batch of tasks
+        return realExecute(workflow, callback);
       }
 
+      // Error: mark workflow as failed
+      workflow.status = "error";
       store.saveInstance(workflow, (saveErr) => {
-        logger.debug("save point c reached.");
+        logger.debug("save point b reached.");
         if (saveErr) {
           return callback(saveErr, workflow);
         }
-        return callback(null, workflow);
+        return callback(firstError, workflow);
       });
+    };
+
+    // Execute tasks in parallel
+    if (startRunnableTasks() > 0) {
+      return;
     }
-  });
+
+    // No tasks to run → check workflow completion
+    if (childHasStatus(workflow, "completed", true)) {
+      workflow.status = "completed";
+    }
+
+    store.saveInstance(workflow, (saveErr) => {
+      logger.debug("save point c reached.");
+      if (saveErr) {
+        return callback(saveErr, workflow);
+      }
+      return callback(null, workflow);
+    });
+  }));
 }
 
 // ============================================
-// Replace $[] References in Task Values
+// Dispatch Runnable Tasks to Workers
 // ============================================
-function setTaskDataValues(workflow, task) {
-  const taskProperties = Object.keys(task);
+// The distributed counterpart of the scheduling in realExecute: runnable
+// tasks are marked executing, saved and handed to the task dispatcher
+// instead of running here. Their results come back through
+// completeQueuedTask, which continues the workflow. After a task fails
+// nothing more is dispatched, and the workflow fails once the tasks still
+// out on workers have reported back.
+function dispatchRunnableTasks(workflow, callback) {
+  const executing = Object.keys(getTasksByStatus(workflow, "executing", true));
+  const failed = Object.values(getTasksByStatus(workflow, "error", true));
+
+  if (failed.length > 0) {
+    if (executing.length > 0) {
+      return callback(null, workflow);
+    }
 
-  for (const propKey of taskProperties) {
-    let value = task[propKey];
-    let valueStr = JSON.stringify(value, null, 2);
+    workflow.status = "error";
+    return store.saveInstance(workflow, (saveErr) => {
+      logger.debug("save point b reached.");
+      callback(saveErr || new Error(failed[0].errorMsg), workflow);
+    });
+  }
 
-    logger.debug(`checking for $[] in ${valueStr}`);
+  // Without dependsOn a batch finishes before the next one opens
+  if (executing.length > 0 && !usesDependencies(workflow)) {
+    return callback(null, workflow);
+  }
 
-    const refValues = valueStr.match(/\$\[([^\]]+)\]/g);
-    if (!refValues) continue;
+  openNextAvailableTask(workflow);
 
-    for (const rawRef of refValues) {
-      // Remove $[] wrapper
-      let ref = rawRef.slice(2, -1);
+  const openTasks = getTasksByStatus(workflow, "open", true);
+  const runnable = Object.keys(openTasks).filter((taskName) => {
+    const task = openTasks[taskName];
+    return !task.tasks || childHasStatus(task, "completed", true);
+  });
 
-      let dataValue = getData(workflow, ref);
-      if (dataValue === undefined) {
-        dataValue = null;
-      }
+  if (runnable.length === 0) {
+    if (executing.length === 0 && childHasStatus(workflow, "completed", true)) {
+      workflow.status = "completed";
+    }
+    return store.saveInstance(workflow, (saveErr) => {
+      logger.debug("save point c reached.");
+      callback(saveErr || null, workflow);
+    });
+  }
 
-      if (typeof dataValue === "string") {
-        // Escape special characters for JSON
-        const escaped = dataValue
-          .replace(/\\/g, "\\\\")
-          .replace(/\//g, "\\/")
-          .replace(/\b/g, "\\b")
-          .replace(/\f/g, "\\f")
-          .replace(/\n/g, "\\n")
-          .replace(/\r/g, "\\r")
-          .replace(/\t/g, "\\t")
-          .replace(/"/g, '\\"')
-          .replace(/'/g, "\\'");
+  for (const taskName of runnable) {
+    applyTaskDefaults(workflow, openTasks[taskName]);
+    openTasks[taskName].status = "executing";
+  }
 
-        valueStr = valueStr.replace(rawRef, escaped);
-      } else {
-        const jsonVal = JSON.stringify(dataValue, null, 2);
-        const before = valueStr.replace(`"${rawRef}"`, jsonVal);
+  // Saved before dispatching, so the worker finds the task executing
+  store.saveInstance(workflow, (saveErr) => {
+    logger.debug("save point g reached.");
+    if (saveErr) {
+      return callback(saveErr, workflow);
+    }
 
-        valueStr = valueStr === before
-          ? valueStr.replace(rawRef, String(dataValue))
-          : before;
+    logger.info(`⇉ Dispatching task(s) [${runnable.join(", ")}] of workflow [${workflow.id}] to workers`);
+
+    Promise.allSettled(runnable.map((taskName) => taskDispatcher(workflow, taskName))).then((results) => {
+      const undispatched = runnable.filter((taskName, i) => results[i].status === "rejected");
+      if (undispatched.length === 0) {
+        return callback(null, workflow);
       }
-    }
 
-    try {
-      task[propKey] = JSON.parse(valueStr);
-    } catch (parseErr) {
-      logger.error(`Failed to parse task property ${propKey}: ${parseErr.message}`);
-      task[propKey] = value; // Keep original value on parse failure
+      undispatched.forEach((taskName) => {
+        const reason = results[runnable.indexOf(taskName)].reason;
+        openTasks[taskName].timeStarted = Date.now();
+        finishTask(taskName, new Error(`Task [${taskName}] could not be queued: ${reason && reason.message}`), openTasks[taskName], () => {});
+      });
+      realExecute(workflow, callback);
+    });
+  });
+}
+
+// ============================================
+// Finish a Cancelled Workflow
+// ============================================
+function finishCancelled(workflow, callback) {
+  cancelUnfinishedTasks(workflow, workflow.cancelReason);
+
+  store.saveInstance(workflow, (saveErr) => {
+    logger.debug("save point d reached.");
+    callback(saveErr || null, workflow);
+  });
+}
+
+// ============================================
+// Apply Workflow-level Task Defaults
+// ============================================
+function applyTaskDefaults(workflow, task) {
+  if (task.timeout === undefined && workflow.defaultTaskTimeout !== undefined) {
+    task.timeout = workflow.defaultTaskTimeout;
+  }
+}
+
+// ============================================
+// Replace $[] References in Task Values
+// ============================================
+// References may be piped through filters (see template.js). A reference
+// that cannot be resolved becomes null, or throws when strictReferences is
+// set on the task or the workflow.
+function setTaskDataValues(workflow, task, strict = getBoolean(task.strictReferences ?? workflow.strictReferences)) {
+  setExpressionLiterals(workflow, task);
+
+  const resolve = (ref) => resolveReference(ref, (path) => getData(workflow, path), strict);
+
+  for (const propKey of Object.keys(task)) {
+    // forEach runs per item (executeForEach), compensate after a failure
+    if (TEMPLATE_FIELDS.includes(propKey)) continue;
+    // Conditions resolve their own references (see setConditionValues)
+    if (CONDITION_FIELDS.includes(propKey)) continue;
+    // A switch resolves its value and case names as it selects a case
+    if (propKey === "switch") continue;
+
+    logger.debug(`checking for $[] in ${propKey}`);
+    task[propKey] = renderTemplate(task[propKey], resolve);
+  }
+
+  setTaskSecretValues(task);
+}
+
+// ============================================
+// Replace $[] References in Expressions with Literals
+// ============================================
+// A reference inside an "expression" (conditionalHandler conditions) becomes
+// a JSON literal, so "$[env.MODE] == 'prod'" reads "\"prod\" == 'prod'".
+function setExpressionLiterals(workflow, value) {
+  if (!value || typeof value !== "object") return;
+
+  for (const key of Object.keys(value)) {
+    if (TEMPLATE_FIELDS.includes(key)) continue;
+
+    if (key === "expression" && typeof value[key] === "string") {
+      value[key] = value[key].replace(/\$\[([^\]]+)\]/g, (rawRef, ref) => {
+        const dataValue = resolveReference(ref, (path) => getData(workflow, path));
+        return JSON.stringify(dataValue === undefined ? null : dataValue);
+      });
+    } else {
+      setExpressionLiterals(workflow, value[key]);
     }
   }
 }
 
+// ============================================
+// Resolve $secret[] References in a Task
+// ============================================
+// Runs just before the handler; the saved copy of the workflow gets the
+// references back (see redact.js), so secret values never reach the store.
+// A secret no provider knows fails the task rather than running it with a
+// blank value.
+function setTaskSecretValues(task) {
+  for (const propKey of Object.keys(task)) {
+    if (TEMPLATE_FIELDS.includes(propKey)) continue;
+
+    const value = task[propKey];
+    let valueStr = JSON.stringify(value);
+    if (valueStr === undefined || !valueStr.includes("$secret[")) continue;
+
+    valueStr = valueStr.replace(/\$secret\[([^\]]+)\]/g, (rawRef, name) => {
+      let secret;
+      try {
+        secret = getSecret(name);
+      } catch (secretErr) {
+        throw new Error(`unable to resolve secret [${name}]: ${secretErr.message}`);
+      }
+
+      if (secret === undefined) {
+        throw new Error(`secret [${name}] not found in any secrets provider`);
+      }
+      return JSON.stringify(secret).slice(1, -1);
+    });
+
+    task[propKey] = JSON.parse(valueStr);
+  }
+}
+
 // ============================================
 // Initialize Tasks to "waiting"
 // ============================================
@@ -468,7 +2301,7 @@ function childHasStatus(parent, status, all) {
 
   scanAllTasks(parent.tasks, true, (task) => {
     hasChecked = true;
-    matchStatus = task.status === status;
+    matchStatus = hasStatus(task, status);
 
     if (matchStatus && !all) {
       return false; // Found one → stop
@@ -484,6 +2317,14 @@ function childHasStatus(parent, status, all) {
   return hasChecked && matchStatus;
 }
 
+// ============================================
+// Check Task Status
+// ============================================
+// Skipped tasks are terminal, so they satisfy a check for "completed"
+function hasStatus(task, status) {
+  return task.status === status || (status === "completed" && task.status === "skipped");
+}
+
 // ============================================
 // Open Next Available Tasks
 // ============================================
@@ -491,11 +2332,120 @@ function openNextAvailableTask(workflow) {
   if (!workflow.tasks) {
     return false;
   }
-  
-  openTasks(workflow.tasks);
+
+  // Selecting a switch branch can unblock further tasks, so open again
+  do {
+    if (usesDependencies(workflow)) {
+      openDependentTasks(workflow.tasks, indexTasks(workflow.tasks).index);
+    } else {
+      openTasks(workflow.tasks);
+    }
+  } while (selectSwitchBranches(workflow) > 0);
+
   return childHasStatus(workflow, "open", false);
 }
 
+// ============================================
+// Select switch Branches
+// ============================================
+// Runs right after tasks are opened, before anything executes: every newly
+// opened switch picks its case and the children of all other cases are
+// marked skipped. Returns the number of switches that made a selection.
+function selectSwitchBranches(workflow) {
+  let count = 0;
+
+  scanAllTasks(workflow.tasks, true, (task, name) => {
+    if (task.switch && task.status === "open" && task.switch.selected === undefined) {
+      const selected = selectSwitchCase(workflow, task.switch);
+      task.switch.selected = selected;
+      count++;
+
+      logger.info(`⑂ Switch [${name}] selected ${selected === null ? "no case" : `case [${selected}]`}`);
+
+      scanAllTasks(task.tasks, false, (child) => {
+        if (child.switchCase !== selected) {
+          markSkipped(child);
+        }
+        return true;
+      });
+    }
+    return true;
+  });
+
+  return count;
+}
+
+// ============================================
+// Evaluate switch Cases
+// ============================================
+// With switch.value the first case whose name equals the value is chosen,
+// otherwise the first case whose name, a condition expression such as
+// "$[tasks.a.parameters.n] > 5", evaluates to true. Falls back to "default"
+// when declared, else null (every branch is skipped).
+function selectSwitchCase(workflow, sw) {
+  const hasValue = sw.value !== undefined;
+  const holder = { value: sw.value };
+  if (hasValue) {
+    setTaskDataValues(workflow, holder, false);
+  }
+
+  const resolve = (ref) => resolveReference(ref, (path) => getData(workflow, path));
+
+  for (const caseName of Object.keys(sw.cases)) {
+    if (hasValue) {
+      if (String(holder.value) === caseName) return caseName;
+    } else if (evaluateCondition(caseName, resolve)) {
+      return caseName;
+    }
+  }
+
+  return sw.default ? "default" : null;
+}
+
+// ============================================
+// Mark Task (and Children) Skipped
+// ============================================
+export function markSkipped(task) {
+  task.status = "skipped";
+  task.timeCompleted = Date.now();
+
+  scanAllTasks(task.tasks, true, (child) => {
+    child.status = "skipped";
+    child.timeCompleted = task.timeCompleted;
+    return true;
+  });
+}
+
+// ============================================
+// Open Tasks Whose Dependencies Are Satisfied
+// ============================================
+// Used instead of openTasks() as soon as any task declares dependsOn: key
+// order and the blocking flag are ignored, a task opens once every task it
+// depends on has completed, and children open once their parent is open.
+function openDependentTasks(tasks, index) {
+  scanAllTasks(tasks, false, (task) => {
+    if (task.status === "waiting" && dependenciesMet(task, index)) {
+      task.status = "open";
+      task.timeOpened = Date.now();
+    }
+
+    if (task.status === "open" && task.tasks) {
+      openDependentTasks(task.tasks, index);
+    }
+
+    return true;
+  });
+}
+
+// ============================================
+// Check if All dependsOn Tasks Have Completed
+// ============================================
+function dependenciesMet(task, index) {
+  return (task.dependsOn || []).every(
+    (dep) => index[dep] && hasStatus(index[dep], "completed")
+  );
+}
+
 // ============================================
 // Open Tasks That Are Ready to Run
 // ============================================
@@ -607,12 +2557,13 @@ export function getData(workflow, path) {
 // ============================================
 // Set Condition Values
 // ============================================
-export function setConditionValues(task) {
-  if (task.skipIf !== undefined) {
-    task.skipIf = getBoolean(task.skipIf);
-  }
-  if (task.errorIf !== undefined) {
-    task.errorIf = getBoolean(task.errorIf);
+// skipIf, errorIf and runIf are expressions (see expression.js) whose $[]
+// references resolve against the workflow; booleans are kept as they are.
+export function setConditionValues(task, workflow = {}) {
+  for (const field of CONDITION_FIELDS) {
+    if (task[field] !== undefined) {
+      task[field] = evaluateCondition(task[field], (ref) => resolveReference(ref, (path) => getData(workflow, path)));
+    }
   }
 }
 
@@ -645,7 +2596,20 @@ export function getBoolean(value) {
 export default {
   runWorkflow,
   updateTasks,
+  cancelWorkflow,
+  resumeTask,
+  continuePausedTask,
+  restartWorkflow,
+  setTaskDispatcher,
+  runQueuedTask,
+  completeQueuedTask,
+  workflowError,
+  bindInputs,
+  checkDefinition,
+  workflowResult,
+  markSkipped,
   scanAllTasks,
+  usesDependencies,
   getData,
   setConditionValues,
   isBlocking,
@@ -0,0 +1,73 @@
+// engine/queueBackends/bullmq.js
+// Queue backend on BullMQ and Redis: every process connected to the same
+// Redis shares the queues, so producers and workers can run apart
+
+import { Queue, Worker } from 'bullmq';
+import Redis from 'ioredis';
+import logger from '../logger.js';
+
+// Deletes the lock only if it is still the one its holder set
+const RELEASE_LOCK = `if redis.call("get", KEYS[1]) == ARGV[1] then return redis.call("del", KEYS[1]) end return 0`;
+
+/**
+ * Create the BullMQ backend
+ * @param {Object} redisConfig - { host, port }
+ * @returns {Object} - The backend, see QueueManager for its interface
+ */
+export function createBullMQBackend(redisConfig) {
+  let connection = null;
+
+  return {
+    name: 'bullmq',
+    shared: true,
+
+    async connect() {
+      connection = new Redis({
+        host: redisConfig.host,
+        port: redisConfig.port,
+        maxRetriesPerRequest: null,
+        lazyConnect: true
+      });
+      connection.on('error', (err) => logger.error(`🔥 Redis error: ${err.message}`));
+
+      // Connecting up front fails fast, rather than queueing commands
+      // until Redis shows up
+      try {
+        await connection.connect();
+      } catch (err) {
+        connection.disconnect();
+        connection = null;
+        throw new Error(`Cannot connect to Redis at ${redisConfig.host}:${redisConfig.port}: ${err.message}`);
+      }
+      logger.info('✅ QueueManager connected to Redis');
+    },
+
+    createQueue(name, options) {
+      return new Queue(name, { connection, ...options });
+    },
+
+    createWorker(name, processor, options) {
+      return new Worker(name, processor, { connection, ...options });
+    },
+
+    async acquireLock(key, token, ttl) {
+      return await connection.set(key, token, 'PX', ttl, 'NX') === 'OK';
+    },
+
+    async releaseLock(key, token) {
+      await connection.eval(RELEASE_LOCK, 1, key, token);
+    },
+
+    async close() {
+      if (connection) {
+        await connection.quit();
+        connection = null;
+        logger.info('✅ QueueManager disconnected from Redis');
+      }
+    }
+  };
+}
+
+export default {
+  createBullMQBackend
+};
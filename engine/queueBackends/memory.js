@@ -0,0 +1,509 @@
+// engine/queueBackends/memory.js
+// In-process queue backend: the part of the BullMQ Queue, Worker and Job API
+// the engine uses, kept in memory. Only workers of the same process see the
+// jobs and they are lost when it exits, so it suits local runs and tests.
+
+import { EventEmitter } from 'events';
+import cronParser from 'cron-parser';
+import logger from '../logger.js';
+
+// setTimeout fires at once past this, longer waits are taken in steps
+const MAX_TIMER = 2 ** 31 - 1;
+
+// Call fn at a time; returns a timer for clearTimer
+function setTimer(time, fn) {
+  const timer = { handle: null };
+  const step = () => {
+    const wait = time - Date.now();
+    timer.handle = wait > MAX_TIMER ? setTimeout(step, MAX_TIMER) : setTimeout(fn, Math.max(0, wait));
+  };
+  step();
+  return timer;
+}
+
+function clearTimer(timer) {
+  if (timer) {
+    clearTimeout(timer.handle);
+  }
+}
+
+// Wait before the next attempt, as BullMQ computes it
+function backoffDelay(backoff, attemptsMade) {
+  if (!backoff) {
+    return 0;
+  }
+  if (typeof backoff === 'number') {
+    return backoff;
+  }
+  if (backoff.type === 'exponential') {
+    return Math.round(Math.pow(2, attemptsMade - 1) * (backoff.delay || 0));
+  }
+  return backoff.delay || 0;
+}
+
+class MemoryJob {
+  constructor(queue, id, name, data, opts) {
+    this.queue = queue;
+    this.id = id;
+    this.name = name;
+    // Kept as JSON, as in Redis: every attempt gets its own copy of the data
+    this.serialized = JSON.stringify(data === undefined ? {} : data);
+    this.data = JSON.parse(this.serialized);
+    this.opts = opts;
+    this.priority = opts.priority || 0;
+    this.delay = opts.delay || 0;
+    this.timestamp = Date.now();
+    this.readyAt = this.timestamp + this.delay;
+    this.state = this.delay > 0 ? 'delayed' : 'waiting';
+    this.attemptsMade = 0;
+    this.progress = 0;
+    this.returnvalue = null;
+    this.failedReason = undefined;
+    this.processedOn = undefined;
+    this.finishedOn = undefined;
+  }
+
+  async getState() {
+    return this.state === 'waiting' && this.queue.paused ? 'paused' : this.state;
+  }
+
+  async updateProgress(progress) {
+    this.progress = progress;
+  }
+
+  async remove() {
+    if (this.state === 'active') {
+      throw new Error(`Job ${this.id} is being processed and cannot be removed`);
+    }
+    this.queue.jobs.delete(this.id);
+  }
+
+  async retry() {
+    if (this.state !== 'failed') {
+      throw new Error(`Job ${this.id} is not failed`);
+    }
+    this.attemptsMade = 0;
+    this.failedReason = undefined;
+    this.finishedOn = undefined;
+    this.state = 'waiting';
+    this.queue.wake();
+  }
+}
+
+class MemoryQueue {
+  constructor(name) {
+    this.name = name;
+    this.defaultJobOptions = {};
+    this.jobs = new Map();
+    this.workers = new Set();
+    this.schedulers = new Map();
+    this.paused = false;
+    this.nextId = 1;
+    this.timer = null;
+  }
+
+  async add(name, data, opts = {}) {
+    const job = this.createJob(name, data, opts);
+    this.wake();
+    return job;
+  }
+
+  async addBulk(jobs) {
+    const added = jobs.map((job) => this.createJob(job.name, job.data, job.opts || {}));
+    this.wake();
+    return added;
+  }
+
+  createJob(name, data, opts) {
+    const jobOpts = { ...this.defaultJobOptions, ...opts };
+    const id = jobOpts.jobId !== undefined ? String(jobOpts.jobId) : String(this.nextId++);
+
+    // As in BullMQ, a job id already in the queue adds nothing
+    if (this.jobs.has(id)) {
+      return this.jobs.get(id);
+    }
+
+    const job = new MemoryJob(this, id, name, data, jobOpts);
+    this.jobs.set(id, job);
+    return job;
+  }
+
+  async getJob(id) {
+    return this.jobs.get(String(id));
+  }
+
+  // Jobs in the given states, newest first; waiting jobs also answer to
+  // 'wait', 'prioritized' and 'paused'
+  async getJobs(types = []) {
+    const wanted = new Set(Array.isArray(types) ? types : [types]);
+    const matches = (job) => wanted.size === 0 || wanted.has(job.state) ||
+      (job.state === 'waiting' && ['wait', 'prioritized', 'paused'].some((type) => wanted.has(type)));
+
+    return [...this.jobs.values()].filter(matches).reverse();
+  }
+
+  async getFailed(start = 0, end = -1) {
+    const failed = await this.getJobs(['failed']);
+    return failed.slice(start, end === -1 ? undefined : end + 1);
+  }
+
+  count(state) {
+    let total = 0;
+    for (const job of this.jobs.values()) {
+      if (job.state === state) total++;
+    }
+    return total;
+  }
+
+  async getWaitingCount() {
+    return this.paused ? 0 : this.count('waiting');
+  }
+
+  async getPausedCount() {
+    return this.paused ? this.count('waiting') : 0;
+  }
+
+  async getActiveCount() {
+    return this.count('active');
+  }
+
+  async getCompletedCount() {
+    return this.count('completed');
+  }
+
+  async getFailedCount() {
+    return this.count('failed');
+  }
+
+  async getDelayedCount() {
+    return this.count('delayed');
+  }
+
+  async pause() {
+    this.paused = true;
+  }
+
+  async resume() {
+    this.paused = false;
+    this.wake();
+  }
+
+  // Remove waiting jobs, and delayed ones too when asked
+  async drain(delayed = false) {
+    for (const job of [...this.jobs.values()]) {
+      if (job.state === 'waiting' || (delayed && job.state === 'delayed')) {
+        this.jobs.delete(job.id);
+      }
+    }
+    this.planTimer();
+  }
+
+  // Remove jobs of a finished state older than grace milliseconds
+  async clean(grace, limit, type = 'completed') {
+    const before = Date.now() - grace;
+    const removed = [];
+    for (const job of [...this.jobs.values()]) {
+      if (limit > 0 && removed.length >= limit) break;
+      if (job.state === type && job.finishedOn <= before) {
+        this.jobs.delete(job.id);
+        removed.push(job.id);
+      }
+    }
+    return removed;
+  }
+
+  // Repeatable job: repeat is { pattern, tz, startDate, endDate }, template
+  // { name, data, opts }. Each run is added as a job when it is due.
+  async upsertJobScheduler(id, repeat, template = {}) {
+    await this.removeJobScheduler(id);
+
+    const scheduler = { key: id, ...repeat, template, next: null, timer: null };
+    this.schedulers.set(id, scheduler);
+    this.planRepeat(scheduler, Date.now());
+  }
+
+  async removeJobScheduler(id) {
+    const scheduler = this.schedulers.get(id);
+    if (!scheduler) {
+      return false;
+    }
+    clearTimer(scheduler.timer);
+    this.schedulers.delete(id);
+    return true;
+  }
+
+  async getJobSchedulers() {
+    return [...this.schedulers.values()].map(({ key, pattern, tz, next }) => ({ key, pattern, tz, next }));
+  }
+
+  planRepeat(scheduler, after) {
+    const start = scheduler.startDate ? new Date(scheduler.startDate).getTime() - 1 : 0;
+    const iterator = cronParser.parseExpression(scheduler.pattern, {
+      currentDate: new Date(Math.max(after, start)),
+      endDate: scheduler.endDate ? new Date(scheduler.endDate) : undefined,
+      tz: scheduler.tz
+    });
+
+    if (!iterator.hasNext()) {
+      scheduler.next = null;
+      return;
+    }
+
+    const next = iterator.next().getTime();
+    scheduler.next = next;
+    scheduler.timer = setTimer(next, () => {
+      const { name, data, opts } = scheduler.template;
+      this.createJob(name, data, { ...opts, jobId: `repeat:${scheduler.key}:${next}` });
+      this.wake();
+      this.planRepeat(scheduler, Math.max(Date.now(), next));
+    });
+  }
+
+  // Next waiting job by priority (lowest number first), then age
+  take() {
+    if (this.paused) {
+      return null;
+    }
+    this.promoteDelayed();
+
+    let next = null;
+    for (const job of this.jobs.values()) {
+      if (job.state === 'waiting' && (!next || job.priority < next.priority)) {
+        next = job;
+      }
+    }
+    return next;
+  }
+
+  promoteDelayed() {
+    const now = Date.now();
+    for (const job of this.jobs.values()) {
+      if (job.state === 'delayed' && job.readyAt <= now) {
+        job.state = 'waiting';
+      }
+    }
+  }
+
+  // Let idle workers take jobs, and wake up again for the next delayed one
+  wake() {
+    this.planTimer();
+    for (const worker of this.workers) {
+      worker.pump();
+    }
+  }
+
+  planTimer() {
+    clearTimer(this.timer);
+    this.timer = null;
+
+    let due = Infinity;
+    for (const job of this.jobs.values()) {
+      if (job.state === 'delayed' && job.readyAt < due) {
+        due = job.readyAt;
+      }
+    }
+    if (due !== Infinity) {
+      this.timer = setTimer(due, () => this.wake());
+    }
+  }
+
+  start(job) {
+    job.state = 'active';
+    job.processedOn = Date.now();
+    job.data = JSON.parse(job.serialized);
+  }
+
+  complete(job, result) {
+    job.state = 'completed';
+    job.data = JSON.parse(job.serialized);
+    job.returnvalue = result === undefined ? null : result;
+    job.finishedOn = Date.now();
+    this.removeFinished(job, job.opts.removeOnComplete);
+  }
+
+  // A failed attempt is retried after its backoff until attempts run out
+  fail(job, err) {
+    job.attemptsMade++;
+    job.failedReason = err.message;
+    job.data = JSON.parse(job.serialized);
+
+    if (job.attemptsMade < (job.opts.attempts || 1)) {
+      job.readyAt = Date.now() + backoffDelay(job.opts.backoff, job.attemptsMade);
+      job.state = job.readyAt > Date.now() ? 'delayed' : 'waiting';
+      return false;
+    }
+
+    job.state = 'failed';
+    job.finishedOn = Date.now();
+    this.removeFinished(job, job.opts.removeOnFail);
+    return true;
+  }
+
+  // keep is removeOnComplete/removeOnFail: true, a count, or { age, count }
+  removeFinished(job, keep) {
+    if (keep === true) {
+      this.jobs.delete(job.id);
+      return;
+    }
+
+    const { age, count } = typeof keep === 'number' ? { count: keep } : keep || {};
+    const finished = [...this.jobs.values()].filter((j) => j.state === job.state).reverse();
+    finished.forEach((j, index) => {
+      const tooOld = age !== undefined && j.finishedOn < Date.now() - age * 1000;
+      if (tooOld || (count !== undefined && index >= count)) {
+        this.jobs.delete(j.id);
+      }
+    });
+  }
+
+  async close() {
+    clearTimer(this.timer);
+    this.timer = null;
+    for (const scheduler of this.schedulers.values()) {
+      clearTimer(scheduler.timer);
+    }
+  }
+}
+
+class MemoryWorker extends EventEmitter {
+  constructor(queue, processor, { concurrency = 1, limiter } = {}) {
+    super();
+    this.queue = queue;
+    this.processor = processor;
+    this.concurrency = concurrency;
+    this.limiter = limiter;
+    this.active = new Set();
+    this.started = [];
+    this.limitTimer = null;
+    this.closing = false;
+
+    queue.workers.add(this);
+    setImmediate(() => this.pump());
+  }
+
+  // Take jobs while there is room under the concurrency and rate limits
+  pump() {
+    while (!this.closing && this.active.size < this.concurrency && !this.rateLimited()) {
+      const job = this.queue.take();
+      if (!job) {
+        return;
+      }
+      this.process(job);
+    }
+  }
+
+  // limiter { max, duration }: at most max jobs started per duration
+  rateLimited() {
+    if (!this.limiter) {
+      return false;
+    }
+
+    const now = Date.now();
+    this.started = this.started.filter((time) => time > now - this.limiter.duration);
+    if (this.started.length < this.limiter.max) {
+      return false;
+    }
+
+    if (!this.limitTimer) {
+      this.limitTimer = setTimeout(() => {
+        this.limitTimer = null;
+        this.pump();
+      }, this.started[0] + this.limiter.duration - now);
+    }
+    return true;
+  }
+
+  process(job) {
+    this.started.push(Date.now());
+    this.queue.start(job);
+
+    const run = (async () => {
+      try {
+        const result = await this.processor(job);
+        this.queue.complete(job, result);
+        this.emit('completed', job, result);
+      } catch (err) {
+        this.queue.fail(job, err);
+        this.emit('failed', job, err);
+      }
+    })();
+
+    this.active.add(run);
+    run.finally(() => {
+      this.active.delete(run);
+      this.queue.wake();
+    });
+  }
+
+  // Stop taking jobs and wait for the active ones
+  async close() {
+    this.closing = true;
+    clearTimeout(this.limitTimer);
+    this.queue.workers.delete(this);
+    await Promise.all(this.active);
+    this.emit('closed');
+  }
+}
+
+/**
+ * Create the in-process backend
+ * @returns {Object} - The backend, see QueueManager for its interface
+ */
+export function createMemoryBackend() {
+  const queues = new Map();
+  const locks = new Map();
+
+  // Queues and workers meet by name, as they do in Redis
+  const getQueue = (name) => {
+    if (!queues.has(name)) {
+      queues.set(name, new MemoryQueue(name));
+    }
+    return queues.get(name);
+  };
+
+  return {
+    name: 'memory',
+    shared: false,
+
+    async connect() {
+      logger.info('✅ QueueManager running in memory, queued jobs are lost when this process exits');
+    },
+
+    createQueue(name, { defaultJobOptions = {} } = {}) {
+      const queue = getQueue(name);
+      queue.defaultJobOptions = defaultJobOptions;
+      return queue;
+    },
+
+    createWorker(name, processor, options) {
+      return new MemoryWorker(getQueue(name), processor, options);
+    },
+
+    async acquireLock(key, token, ttl) {
+      const held = locks.get(key);
+      if (held && held.expires > Date.now()) {
+        return false;
+      }
+      locks.set(key, { token, expires: Date.now() + ttl });
+      return true;
+    },
+
+    async releaseLock(key, token) {
+      if (locks.has(key) && locks.get(key).token === token) {
+        locks.delete(key);
+      }
+    },
+
+    async close() {
+      for (const queue of queues.values()) {
+        await queue.close();
+      }
+      queues.clear();
+      locks.clear();
+    }
+  };
+}
+
+export default {
+  createMemoryBackend
+};
@@ -0,0 +1,222 @@
+// engine/schedules.js
+// Recurring workflow runs: schedule records in the store, their cron
+// patterns and run bookkeeping. The queue fires them (see WorkflowQueue).
+
+import cronParser from 'cron-parser';
+import { v4 as uuidv4 } from 'uuid';
+import logger from './logger.js';
+import store from './persistence/store.js';
+import { bindInputs, workflowError } from './processus.js';
+
+/**
+ * Create and save a schedule for a saved definition
+ * @param {string} definitionName - Name of a definition in the store
+ * @param {Object} options - { cron, timezone, inputs, startAt, endAt }
+ * @param {Function} callback - A function(err, schedule)
+ */
+export function createSchedule(definitionName, { cron, timezone, inputs = {}, startAt, endAt } = {}, callback) {
+  let schedule;
+  try {
+    schedule = {
+      id: uuidv4(),
+      definition: definitionName,
+      cron,
+      timezone: timezone || null,
+      inputs,
+      startAt: parseTime(startAt, 'startAt'),
+      endAt: parseTime(endAt, 'endAt'),
+      createdAt: Date.now(),
+      runs: 0,
+      lastRunAt: null,
+      lastWorkflowId: null,
+      lastError: null
+    };
+    checkSchedule(schedule);
+    schedule.nextRunAt = nextRunTime(schedule);
+  } catch (err) {
+    return callback(err);
+  }
+
+  loadDefinition(definitionName, (err, definition) => {
+    if (err) {
+      return callback(err);
+    }
+
+    // Inputs are checked now, rather than failing every run
+    try {
+      bindInputs(definition, inputs);
+    } catch (inputErr) {
+      return callback(inputErr);
+    }
+
+    store.saveSchedule(schedule, (saveErr) => {
+      if (saveErr) {
+        return callback(saveErr);
+      }
+      logger.info(`🗓️ Scheduled [${definitionName}] at "${cron}"${schedule.timezone ? ` (${schedule.timezone})` : ''}`);
+      callback(null, schedule);
+    });
+  });
+}
+
+/**
+ * List every schedule
+ * @param {Function} callback - A function(err, schedules[])
+ */
+export function listSchedules(callback) {
+  store.getSchedules(callback);
+}
+
+/**
+ * Get one schedule
+ * @param {string} id - The schedule id
+ * @param {Function} callback - A function(err, schedule)
+ */
+export function getSchedule(id, callback) {
+  store.getSchedules((err, schedules) => {
+    if (err) {
+      return callback(err);
+    }
+
+    const schedule = schedules.find((s) => s.id === id);
+    if (!schedule) {
+      return callback(workflowError(`Schedule [${id}] not found`, 'SCHEDULE_NOT_FOUND'));
+    }
+    callback(null, schedule);
+  });
+}
+
+/**
+ * Delete a schedule
+ * @param {string} id - The schedule id
+ * @param {Function} callback - A function(err, schedule)
+ */
+export function deleteSchedule(id, callback) {
+  getSchedule(id, (err, schedule) => {
+    if (err) {
+      return callback(err);
+    }
+
+    store.deleteSchedule(id, (deleteErr) => {
+      if (!deleteErr) {
+        logger.info(`🗓️ Removed schedule [${id}] of [${schedule.definition}]`);
+      }
+      callback(deleteErr, schedule);
+    });
+  });
+}
+
+/**
+ * Load the definition and inputs for a run of a schedule
+ * @param {Object} schedule - The schedule
+ * @param {Function} callback - A function(err, definition) with inputs bound
+ */
+export function prepareRun(schedule, callback) {
+  loadDefinition(schedule.definition, (err, definition) => {
+    if (err) {
+      return callback(err);
+    }
+
+    try {
+      callback(null, bindInputs(definition, schedule.inputs));
+    } catch (inputErr) {
+      callback(inputErr);
+    }
+  });
+}
+
+/**
+ * Record a run of a schedule (or why it could not start)
+ * @param {Object} schedule - The schedule
+ * @param {Object} run - { workflowId } or { error }
+ * @param {Function} callback - A function(err, schedule)
+ */
+export function recordRun(schedule, { workflowId = null, error = null }, callback) {
+  const now = Date.now();
+  const updated = {
+    ...schedule,
+    runs: schedule.runs + (workflowId ? 1 : 0),
+    lastRunAt: now,
+    lastWorkflowId: workflowId || schedule.lastWorkflowId,
+    lastError: error ? error.message : null,
+    nextRunAt: nextRunTime(schedule, now)
+  };
+
+  store.saveSchedule(updated, (err) => callback(err, updated));
+}
+
+/**
+ * When a schedule runs next, after a given time
+ * @param {Object} schedule - { cron, timezone, startAt, endAt }
+ * @param {number} [after] - Milliseconds since the epoch, default now
+ * @returns {number|null} - Milliseconds since the epoch, null once past endAt
+ */
+export function nextRunTime(schedule, after = Date.now()) {
+  const from = schedule.startAt !== null && schedule.startAt > after ? schedule.startAt - 1 : after;
+  const iterator = cronParser.parseExpression(schedule.cron, {
+    currentDate: new Date(from),
+    endDate: schedule.endAt !== null ? new Date(schedule.endAt) : undefined,
+    tz: schedule.timezone || undefined
+  });
+
+  return iterator.hasNext() ? iterator.next().getTime() : null;
+}
+
+function checkSchedule(schedule) {
+  if (typeof schedule.cron !== 'string' || schedule.cron.trim() === '') {
+    throw workflowError('Invalid schedule, a cron pattern is required', 'INVALID_SCHEDULE');
+  }
+  try {
+    cronParser.parseExpression(schedule.cron);
+  } catch (cronErr) {
+    throw workflowError(`Invalid cron pattern "${schedule.cron}": ${cronErr.message}`, 'INVALID_SCHEDULE');
+  }
+
+  if (schedule.timezone !== null) {
+    try {
+      new Intl.DateTimeFormat('en', { timeZone: schedule.timezone });
+    } catch (tzErr) {
+      throw workflowError(`Invalid schedule timezone [${schedule.timezone}]`, 'INVALID_SCHEDULE');
+    }
+  }
+
+  if (schedule.inputs === null || typeof schedule.inputs !== 'object' || Array.isArray(schedule.inputs)) {
+    throw workflowError('Invalid schedule inputs, expected an object', 'INVALID_SCHEDULE');
+  }
+
+  if (schedule.startAt !== null && schedule.endAt !== null && schedule.endAt <= schedule.startAt) {
+    throw workflowError('Invalid schedule, endAt must be after startAt', 'INVALID_SCHEDULE');
+  }
+}
+
+// Dates are given as milliseconds or anything Date can parse
+function parseTime(value, field) {
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+
+  const time = typeof value === 'number' ? value : new Date(value).getTime();
+  if (!Number.isFinite(time)) {
+    throw workflowError(`Invalid schedule ${field} [${value}], expected a date`, 'INVALID_SCHEDULE');
+  }
+  return time;
+}
+
+function loadDefinition(name, callback) {
+  store.getDefinition(name, (err, definition) => {
+    if (err || !definition) {
+      return callback(workflowError(`Definition [${name}] not found, save it before scheduling it`, 'DEFINITION_NOT_FOUND'));
+    }
+    callback(null, definition);
+  });
+}
+
+export default {
+  createSchedule,
+  listSchedules,
+  getSchedule,
+  deleteSchedule,
+  prepareRun,
+  recordRun,
+  nextRunTime
+};
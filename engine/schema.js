@@ -0,0 +1,190 @@
+// engine/schema.js
+// Validate values against the commonly used subset of JSON Schema:
+// type, enum, const, required, properties, additionalProperties, items,
+// minItems/maxItems, minimum/maximum, exclusiveMinimum/exclusiveMaximum,
+// minLength/maxLength, pattern and default. Any other keyword is rejected
+// by checkSchema instead of being silently ignored.
+
+const KEYWORDS = [
+  'type', 'enum', 'const', 'required', 'properties', 'additionalProperties', 'items',
+  'minItems', 'maxItems', 'minimum', 'maximum', 'exclusiveMinimum', 'exclusiveMaximum',
+  'minLength', 'maxLength', 'pattern', 'default'
+];
+
+// Keywords that only document the schema and never affect validation
+const ANNOTATIONS = ['title', 'description', 'examples', '$comment'];
+
+const TYPES = ['string', 'number', 'integer', 'boolean', 'object', 'array', 'null'];
+
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  return typeof value;
+}
+
+function matchesType(value, type) {
+  switch (type) {
+    case 'integer':
+      return Number.isInteger(value);
+    case 'number':
+      return typeof value === 'number' && Number.isFinite(value);
+    default:
+      return typeOf(value) === type;
+  }
+}
+
+/**
+ * Check a schema is usable before validating anything against it
+ * @param {Object} schema - The schema
+ * @param {string} [path] - Where the schema sits, for messages
+ * @returns {string[]} - Problems with the schema, empty when usable
+ */
+export function checkSchema(schema, path = 'schema') {
+  const problems = [];
+
+  if (!schema || typeof schema !== 'object' || Array.isArray(schema)) {
+    return [`${path} must be an object`];
+  }
+
+  for (const keyword of Object.keys(schema)) {
+    if (!KEYWORDS.includes(keyword) && !ANNOTATIONS.includes(keyword)) {
+      problems.push(`${path}.${keyword} is not a supported schema keyword`);
+    }
+  }
+
+  const types = schema.type === undefined ? [] : [].concat(schema.type);
+  for (const type of types) {
+    if (!TYPES.includes(type)) {
+      problems.push(`${path}.type [${type}] is not one of ${TYPES.join(', ')}`);
+    }
+  }
+
+  if (schema.pattern !== undefined) {
+    try {
+      new RegExp(schema.pattern);
+    } catch (patternErr) {
+      problems.push(`${path}.pattern is not a valid regular expression`);
+    }
+  }
+
+  if (schema.enum !== undefined && !Array.isArray(schema.enum)) {
+    problems.push(`${path}.enum must be an array of values`);
+  }
+
+  if (schema.required !== undefined && !Array.isArray(schema.required)) {
+    problems.push(`${path}.required must be an array of property names`);
+  }
+
+  for (const [name, property] of Object.entries(schema.properties || {})) {
+    problems.push(...checkSchema(property, `${path}.properties.${name}`));
+  }
+  if (schema.items !== undefined) {
+    problems.push(...checkSchema(schema.items, `${path}.items`));
+  }
+  if (schema.additionalProperties && typeof schema.additionalProperties === 'object') {
+    problems.push(...checkSchema(schema.additionalProperties, `${path}.additionalProperties`));
+  }
+
+  return problems;
+}
+
+/**
+ * Fill in defaults declared by the schema, without touching the original
+ * @param {*} value - The value, may be undefined
+ * @param {Object} schema - The schema
+ * @returns {*} - The value with defaults applied
+ */
+export function applyDefaults(value, schema) {
+  if (value === undefined && schema.default !== undefined) {
+    value = JSON.parse(JSON.stringify(schema.default));
+  }
+
+  if (typeOf(value) === 'object' && schema.properties) {
+    const result = { ...value };
+    for (const [name, property] of Object.entries(schema.properties)) {
+      const filled = applyDefaults(result[name], property);
+      if (filled !== undefined) {
+        result[name] = filled;
+      }
+    }
+    return result;
+  }
+
+  if (Array.isArray(value) && schema.items) {
+    return value.map((item) => applyDefaults(item, schema.items));
+  }
+
+  return value;
+}
+
+/**
+ * Validate a value, collecting every violation rather than stopping at the first
+ * @param {*} value - The value to check
+ * @param {Object} schema - The schema
+ * @param {string} [path] - Name of the value, for messages
+ * @returns {string[]} - Violations such as "inputs.replicas must be >= 1"
+ */
+export function validateSchema(value, schema, path = 'value') {
+  const violations = [];
+
+  if (schema.type !== undefined) {
+    const types = [].concat(schema.type);
+    if (!types.some((type) => matchesType(value, type))) {
+      violations.push(`${path} must be of type ${types.join(' or ')}, got ${typeOf(value)}`);
+      return violations;
+    }
+  }
+
+  if (schema.enum !== undefined && !schema.enum.some((option) => JSON.stringify(option) === JSON.stringify(value))) {
+    violations.push(`${path} must be one of ${schema.enum.map((option) => JSON.stringify(option)).join(', ')}`);
+  }
+  if (schema.const !== undefined && JSON.stringify(schema.const) !== JSON.stringify(value)) {
+    violations.push(`${path} must be ${JSON.stringify(schema.const)}`);
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) violations.push(`${path} must be >= ${schema.minimum}`);
+    if (schema.maximum !== undefined && value > schema.maximum) violations.push(`${path} must be <= ${schema.maximum}`);
+    if (schema.exclusiveMinimum !== undefined && value <= schema.exclusiveMinimum) violations.push(`${path} must be > ${schema.exclusiveMinimum}`);
+    if (schema.exclusiveMaximum !== undefined && value >= schema.exclusiveMaximum) violations.push(`${path} must be < ${schema.exclusiveMaximum}`);
+  }
+
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) violations.push(`${path} must be at least ${schema.minLength} characters`);
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) violations.push(`${path} must be at most ${schema.maxLength} characters`);
+    if (schema.pattern !== undefined && !new RegExp(schema.pattern).test(value)) violations.push(`${path} must match ${schema.pattern}`);
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) violations.push(`${path} must have at least ${schema.minItems} items`);
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) violations.push(`${path} must have at most ${schema.maxItems} items`);
+    if (schema.items) {
+      value.forEach((item, index) => violations.push(...validateSchema(item, schema.items, `${path}[${index}]`)));
+    }
+  }
+
+  if (typeOf(value) === 'object') {
+    for (const name of schema.required || []) {
+      if (value[name] === undefined) violations.push(`${path}.${name} is required`);
+    }
+
+    const properties = schema.properties || {};
+    for (const name of Object.keys(value)) {
+      if (properties[name]) {
+        violations.push(...validateSchema(value[name], properties[name], `${path}.${name}`));
+      } else if (schema.additionalProperties === false) {
+        violations.push(`${path}.${name} is not an allowed property`);
+      } else if (schema.additionalProperties && typeof schema.additionalProperties === 'object') {
+        violations.push(...validateSchema(value[name], schema.additionalProperties, `${path}.${name}`));
+      }
+    }
+  }
+
+  return violations;
+}
+
+export default {
+  checkSchema,
+  applyDefaults,
+  validateSchema
+};
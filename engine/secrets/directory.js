@@ -0,0 +1,36 @@
+// engine/secrets/directory.js
+// Secrets provider reading one file per secret, e.g. Docker or Kubernetes mounted secrets
+
+import fs from 'fs';
+import path from 'path';
+
+/**
+ * Create a directory secrets provider
+ * The secret "db.password" is the content of <dir>/db.password, without
+ * trailing newlines. Files are read on every lookup so rotations apply.
+ * @param {Object} options - { dir }
+ * @returns {Object} - The provider { name, get(name) }
+ */
+export function createDirectoryProvider({ dir }) {
+  return {
+    name: 'directory',
+    get(name) {
+      if (!/^[\w.-]+$/.test(name) || name.startsWith('.')) {
+        throw new Error(`Invalid secret name [${name}] for the directory provider`);
+      }
+
+      try {
+        return fs.readFileSync(path.join(dir, name), 'utf8').replace(/\r?\n$/, '');
+      } catch (err) {
+        if (err.code === 'ENOENT') {
+          return undefined;
+        }
+        throw new Error(`Unable to read secret [${name}] from [${dir}]: ${err.message}`);
+      }
+    }
+  };
+}
+
+export default {
+  createDirectoryProvider
+};
@@ -0,0 +1,103 @@
+// engine/secrets/encryptedFile.js
+// Secrets provider for a local JSON file encrypted with AES-256-GCM under a master key
+
+import fs from 'fs';
+import crypto from 'crypto';
+
+const ALGORITHM = 'aes-256-gcm';
+
+// Derive the 256 bit file key from the master key
+function deriveKey(masterKey, salt) {
+  return crypto.scryptSync(masterKey, salt, 32);
+}
+
+/**
+ * Encrypt a secrets object into the file format read by this provider
+ * @param {Object} secrets - Secrets, flat ({ "db.password": "x" }) or nested ({ db: { password: "x" } })
+ * @param {string} masterKey - The master key
+ * @returns {Object} - { version, salt, iv, tag, data } ready to be written as JSON
+ */
+export function encryptSecrets(secrets, masterKey) {
+  if (!masterKey) {
+    throw new Error('A master key is required to encrypt secrets (SECRETS_MASTER_KEY)');
+  }
+
+  const salt = crypto.randomBytes(16);
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv(ALGORITHM, deriveKey(masterKey, salt), iv);
+  const data = Buffer.concat([cipher.update(JSON.stringify(secrets), 'utf8'), cipher.final()]);
+
+  return {
+    version: 1,
+    salt: salt.toString('base64'),
+    iv: iv.toString('base64'),
+    tag: cipher.getAuthTag().toString('base64'),
+    data: data.toString('base64')
+  };
+}
+
+/**
+ * Decrypt a file produced by encryptSecrets
+ * @param {Object} encrypted - The parsed file contents
+ * @param {string} masterKey - The master key
+ * @returns {Object} - The secrets
+ * @throws {Error} - When the key is wrong or the file was tampered with
+ */
+export function decryptSecrets(encrypted, masterKey) {
+  const decipher = crypto.createDecipheriv(
+    ALGORITHM,
+    deriveKey(masterKey, Buffer.from(encrypted.salt, 'base64')),
+    Buffer.from(encrypted.iv, 'base64')
+  );
+  decipher.setAuthTag(Buffer.from(encrypted.tag, 'base64'));
+
+  const json = Buffer.concat([
+    decipher.update(Buffer.from(encrypted.data, 'base64')),
+    decipher.final()
+  ]).toString('utf8');
+
+  return JSON.parse(json);
+}
+
+/**
+ * Create an encrypted-file secrets provider
+ * The file is decrypted on first lookup. "db.password" is looked up as a
+ * flat key first, then as the path db → password.
+ * @param {Object} options - { file, masterKey }
+ * @returns {Object} - The provider { name, get(name) }
+ */
+export function createEncryptedFileProvider({ file, masterKey }) {
+  let secrets = null;
+
+  return {
+    name: 'encrypted-file',
+    get(name) {
+      if (secrets === null) {
+        if (!masterKey) {
+          throw new Error('SECRETS_MASTER_KEY must be set to use the encrypted-file secrets provider');
+        }
+        try {
+          secrets = decryptSecrets(JSON.parse(fs.readFileSync(file, 'utf8')), masterKey);
+        } catch (err) {
+          throw new Error(`Unable to decrypt secrets file [${file}]: ${err.message}`);
+        }
+      }
+
+      const value = Object.prototype.hasOwnProperty.call(secrets, name)
+        ? secrets[name]
+        : name.split('.').reduce(
+          (current, part) => (current !== null && typeof current === 'object' ? current[part] : undefined),
+          secrets
+        );
+
+      // Only leaves are secrets
+      return value !== null && typeof value === 'object' ? undefined : value;
+    }
+  };
+}
+
+export default {
+  createEncryptedFileProvider,
+  encryptSecrets,
+  decryptSecrets
+};
@@ -0,0 +1,33 @@
+// engine/secrets/envFile.js
+// Secrets provider reading KEY=VALUE pairs from a dotenv style file
+
+import fs from 'fs';
+import dotenv from 'dotenv';
+
+/**
+ * Create an env-file secrets provider
+ * The file is read on first lookup; secret names are the keys as written.
+ * @param {Object} options - { file }
+ * @returns {Object} - The provider { name, get(name) }
+ */
+export function createEnvFileProvider({ file }) {
+  let secrets = null;
+
+  return {
+    name: 'env-file',
+    get(name) {
+      if (secrets === null) {
+        try {
+          secrets = dotenv.parse(fs.readFileSync(file));
+        } catch (err) {
+          throw new Error(`Unable to read secrets env file [${file}]: ${err.message}`);
+        }
+      }
+      return secrets[name];
+    }
+  };
+}
+
+export default {
+  createEnvFileProvider
+};
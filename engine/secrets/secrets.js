@@ -0,0 +1,131 @@
+// engine/secrets/secrets.js
+// Secrets lookup for $secret[name] references, backed by pluggable providers
+//
+// Providers are chosen with SECRETS_PROVIDERS, a comma separated list tried
+// in order [env-file | encrypted-file | directory]:
+// SECRETS_ENV_FILE default ".secrets.env" [env-file]
+// SECRETS_FILE default "secrets.enc.json" [encrypted-file]
+// SECRETS_MASTER_KEY (required) [encrypted-file]
+// SECRETS_DIR default "/run/secrets" [directory]
+// More providers can be added with registerSecretsProvider().
+
+import logger from '../logger.js';
+import { createEnvFileProvider } from './envFile.js';
+import { createEncryptedFileProvider } from './encryptedFile.js';
+import { createDirectoryProvider } from './directory.js';
+
+// Secret values shorter than this are not masked, masking them everywhere
+// would mangle unrelated text
+export const MIN_SCRUB_LENGTH = 4;
+
+const factories = {
+  'env-file': (env) => createEnvFileProvider({ file: env.SECRETS_ENV_FILE || '.secrets.env' }),
+  'encrypted-file': (env) => createEncryptedFileProvider({
+    file: env.SECRETS_FILE || 'secrets.enc.json',
+    masterKey: env.SECRETS_MASTER_KEY
+  }),
+  directory: (env) => createDirectoryProvider({ dir: env.SECRETS_DIR || '/run/secrets' })
+};
+
+let configuredProviders = null;
+const customProviders = new Map();
+
+// value → name of every secret handed out, used to scrub them again
+const resolvedSecrets = new Map();
+
+// Providers from SECRETS_PROVIDERS, created on first use
+function getProviders() {
+  if (configuredProviders === null) {
+    configuredProviders = (process.env.SECRETS_PROVIDERS || '')
+      .split(',')
+      .map((name) => name.trim())
+      .filter(Boolean)
+      .map((name) => {
+        if (!factories[name]) {
+          throw new Error(`Unknown secrets provider [${name}], expected one of: ${Object.keys(factories).join(', ')}`);
+        }
+        return factories[name](process.env);
+      });
+  }
+
+  return [...configuredProviders, ...customProviders.values()];
+}
+
+/**
+ * Register an additional secrets provider, consulted after the configured ones
+ * @param {string} name - Provider name
+ * @param {Object} provider - An object with get(name) returning the value or undefined
+ */
+export function registerSecretsProvider(name, provider) {
+  if (!provider || typeof provider.get !== 'function') {
+    throw new Error(`Secrets provider [${name}] must have a get(name) function`);
+  }
+  customProviders.set(name, provider);
+}
+
+/**
+ * Look a secret up in the providers, in order
+ * @param {string} name - The secret name, e.g. "db.password"
+ * @returns {string|undefined} - The value, or undefined when no provider has it
+ * @throws {Error} - When a provider is misconfigured
+ */
+export function getSecret(name) {
+  for (const provider of getProviders()) {
+    const value = provider.get(name);
+    if (value === undefined || value === null) continue;
+
+    const secret = String(value);
+    if (secret.length >= MIN_SCRUB_LENGTH) {
+      resolvedSecrets.set(secret, name);
+    } else {
+      logger.warn(`Secret [${name}] is shorter than ${MIN_SCRUB_LENGTH} characters and will not be scrubbed from saved workflows`);
+    }
+    return secret;
+  }
+
+  return undefined;
+}
+
+/**
+ * Put the $secret[name] reference back wherever a resolved secret appears
+ * @param {string} text - Any string about to be persisted or shown
+ * @returns {string} - The scrubbed string
+ */
+export function scrubSecrets(text) {
+  if (resolvedSecrets.size === 0) {
+    return text;
+  }
+
+  let scrubbed = text;
+  for (const secret of longestFirst([...resolvedSecrets.keys()])) {
+    if (scrubbed.includes(secret)) {
+      scrubbed = scrubbed.split(secret).join(`$secret[${resolvedSecrets.get(secret)}]`);
+    }
+  }
+  return scrubbed;
+}
+
+/**
+ * Sort secret values longest first, so a secret containing another is
+ * replaced whole rather than around the shorter one
+ * @param {string[]} secrets - Secret values, sorted in place
+ * @returns {string[]} - The same array
+ */
+export function longestFirst(secrets) {
+  return secrets.sort((a, b) => b.length - a.length);
+}
+
+/**
+ * Forget the configured providers so the next lookup re-reads the settings
+ */
+export function resetSecretsProviders() {
+  configuredProviders = null;
+}
+
+export default {
+  getSecret,
+  scrubSecrets,
+  longestFirst,
+  registerSecretsProvider,
+  resetSecretsProviders
+};
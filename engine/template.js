@@ -0,0 +1,213 @@
+// engine/template.js
+// $[] references in task values, optionally piped through filters:
+//   $[tasks.a.parameters.name | upper]
+//   $[tasks.a.parameters.region | default('eu-west-1')]
+//   $[tasks.a.parameters.started | date('YYYY-MM-DD')]
+
+import { evaluateExpression } from './expression.js';
+
+const REFERENCE = /\$\[([^\]]+)\]/g;
+const WHOLE_REFERENCE = /^\$\[([^\]]+)\]$/;
+
+// ============================================
+// Filters
+// ============================================
+// Each filter gets the value and its arguments. Missing values (null or
+// undefined) pass through unchanged unless the filter says otherwise.
+const FILTERS = {
+  upper: (value) => (isMissing(value) ? value : String(value).toUpperCase()),
+  lower: (value) => (isMissing(value) ? value : String(value).toLowerCase()),
+  trim: (value) => (isMissing(value) ? value : String(value).trim()),
+  default: (value, fallback = null) => (isMissing(value) ? fallback : value),
+  json: (value) => JSON.stringify(value === undefined ? null : value),
+  length: (value) => {
+    if (isMissing(value)) return 0;
+    if (typeof value === 'object' && !Array.isArray(value)) return Object.keys(value).length;
+    return typeof value === 'string' || Array.isArray(value) ? value.length : String(value).length;
+  },
+  date: (value, format) => (isMissing(value) ? value : formatDate(value, format)),
+  base64: (value) => {
+    if (isMissing(value)) return value;
+    const text = typeof value === 'string' ? value : JSON.stringify(value);
+    return Buffer.from(text, 'utf8').toString('base64');
+  }
+};
+
+function isMissing(value) {
+  return value === undefined || value === null;
+}
+
+// Dates are numbers (milliseconds), numeric strings or anything Date parses,
+// and are formatted in UTC; without a format they become ISO strings
+function formatDate(value, format) {
+  const date = new Date(typeof value === 'string' && /^\d+$/.test(value) ? Number(value) : value);
+  if (Number.isNaN(date.getTime())) {
+    throw new Error(`Filter [date] cannot format [${value}], expected a timestamp or date string`);
+  }
+  if (format === undefined) {
+    return date.toISOString();
+  }
+
+  const pad = (number, size = 2) => String(number).padStart(size, '0');
+  const parts = {
+    YYYY: date.getUTCFullYear(),
+    YY: pad(date.getUTCFullYear() % 100),
+    MM: pad(date.getUTCMonth() + 1),
+    DD: pad(date.getUTCDate()),
+    HH: pad(date.getUTCHours()),
+    mm: pad(date.getUTCMinutes()),
+    ss: pad(date.getUTCSeconds()),
+    SSS: pad(date.getUTCMilliseconds(), 3)
+  };
+  return String(format).replace(/YYYY|YY|MM|DD|HH|mm|ss|SSS/g, (token) => parts[token]);
+}
+
+// ============================================
+// Parse a Reference
+// ============================================
+/**
+ * Split a reference into its data path and filters
+ * @param {string} ref - The text between $[ and ], e.g. "tasks.a.parameters.x | default('y')"
+ * @returns {Object} - { path, filters: [{ name, args }] }
+ * @throws {Error} - When a filter is unknown or its arguments are invalid
+ */
+export function parseReference(ref) {
+  const [path, ...segments] = splitPipes(ref).map((part) => part.trim());
+
+  const filters = segments.map((segment) => {
+    const match = segment.match(/^(\w+)\s*(?:\((.*)\))?$/s);
+    if (!match) {
+      throw new Error(`Invalid filter [${segment}] in $[${ref}]`);
+    }
+
+    const [, name, argList] = match;
+    if (!FILTERS[name]) {
+      throw new Error(`Unknown filter [${name}] in $[${ref}], available filters: ${Object.keys(FILTERS).join(', ')}`);
+    }
+
+    let args = [];
+    if (argList !== undefined && argList.trim() !== '') {
+      try {
+        args = evaluateExpression(`[${argList}]`);
+      } catch (argErr) {
+        throw new Error(`Invalid arguments for filter [${name}] in $[${ref}], use literals such as 'text' or 10`);
+      }
+    }
+    return { name, args };
+  });
+
+  return { path, filters };
+}
+
+// Split on | outside of quoted filter arguments
+function splitPipes(ref) {
+  const parts = [];
+  let current = '';
+  let quote = null;
+
+  for (const char of ref) {
+    if (quote) {
+      if (char === quote) quote = null;
+    } else if (char === '"' || char === "'") {
+      quote = char;
+    } else if (char === '|') {
+      parts.push(current);
+      current = '';
+      continue;
+    }
+    current += char;
+  }
+  parts.push(current);
+
+  return parts;
+}
+
+// ============================================
+// Resolve a Reference
+// ============================================
+/**
+ * Look up a reference and apply its filters
+ * @param {string} ref - The text between $[ and ]
+ * @param {Function} getValue - Returns the value at a data path
+ * @param {boolean} [strict] - Throw when the path is missing and no default is given
+ * @returns {*} - The value, undefined when missing
+ * @throws {Error} - When a filter fails, or a strict reference is missing
+ */
+export function resolveReference(ref, getValue, strict = false) {
+  const { path, filters } = parseReference(ref);
+  const value = getValue(path);
+
+  if (value === undefined && strict && !filters.some((filter) => filter.name === 'default')) {
+    throw new Error(`Reference $[${ref.trim()}] could not be resolved`);
+  }
+
+  return filters.reduce((current, filter) => FILTERS[filter.name](current, ...filter.args), value);
+}
+
+// ============================================
+// Render Values
+// ============================================
+/**
+ * Replace every $[] reference in a value, walking objects and arrays
+ * A string that is a single reference takes the referenced value as is,
+ * references inside longer strings are replaced by their text.
+ * @param {*} value - The value to render
+ * @param {Function} resolve - Returns the value of a reference
+ * @returns {*} - A rendered copy
+ */
+export function renderTemplate(value, resolve) {
+  if (typeof value === 'string') {
+    const whole = value.match(WHOLE_REFERENCE);
+    if (whole) {
+      const resolved = resolve(whole[1]);
+      return resolved === undefined ? null : resolved;
+    }
+    return value.replace(REFERENCE, (rawRef, ref) => toText(resolve(ref)));
+  }
+
+  if (Array.isArray(value)) {
+    return value.map((item) => renderTemplate(item, resolve));
+  }
+
+  if (value && typeof value === 'object') {
+    const rendered = {};
+    for (const key of Object.keys(value)) {
+      rendered[renderTemplate(key, (ref) => toText(resolve(ref)))] = renderTemplate(value[key], resolve);
+    }
+    return rendered;
+  }
+
+  return value;
+}
+
+function toText(value) {
+  if (value === undefined || value === null) return 'null';
+  return typeof value === 'object' ? JSON.stringify(value) : String(value);
+}
+
+/**
+ * List the $[] references in a value
+ * @param {*} value - The value to search
+ * @param {string[]} [found] - Collects the references while recursing
+ * @returns {string[]} - The text between $[ and ] of each reference
+ */
+export function findReferences(value, found = []) {
+  if (typeof value === 'string') {
+    for (const match of value.matchAll(REFERENCE)) {
+      found.push(match[1]);
+    }
+  } else if (value && typeof value === 'object') {
+    for (const key of Object.keys(value)) {
+      findReferences(key, found);
+      findReferences(value[key], found);
+    }
+  }
+  return found;
+}
+
+export default {
+  parseReference,
+  resolveReference,
+  renderTemplate,
+  findReferences
+};
@@ -0,0 +1,427 @@
+// engine/validator.js
+// Check a workflow definition without running it: structure, unknown task
+// properties, handler modules and their required parameters, $[] reference
+// targets, plus every check the engine makes before a run (dependencies and
+// cycles, timeouts, retries, forEach, switch, conditions, inputs, outputs).
+// Problems carry a JSON path, and a line number when given YAML text.
+
+import yaml from 'js-yaml';
+import { checkDefinition } from './processus.js';
+import { findReferences, parseReference } from './template.js';
+import { resolveHandler } from './handlers.js';
+
+// Properties a task definition may have
+export const TASK_PROPERTIES = [
+  'description', 'handler', 'parameters', 'blocking', 'tasks', 'dependsOn', 'timeout', 'retry',
+  'forEach', 'switch', 'skipIf', 'errorIf', 'runIf', 'ignoreError', 'strictReferences', 'onReject',
+  'compensate', 'fallback'
+];
+
+// Fields the engine adds to a task as it runs, which references may read
+const RUNTIME_TASK_FIELDS = [
+  'status', 'errorMsg', 'timeOpened', 'timeStarted', 'timeCompleted', 'handlerDuration',
+  'totalDuration', 'handlerExecuted', 'attempts', 'timedOut', 'switchCase', 'events',
+  'usedFallback', 'primaryError', 'fallbackError'
+];
+
+// Top-level fields every instance has
+const WORKFLOW_FIELDS = ['id', 'name', 'status'];
+
+/**
+ * Validate a workflow definition
+ * @param {Object|string} source - The definition, or its JSON or YAML text
+ * @param {Object} [options]
+ * @param {string} [options.format] - "json" or "yaml" for text, guessed when omitted
+ * @returns {Promise<Object>} - { valid, problems: [{ path, message, line }] }
+ */
+export async function validateDefinition(source, options = {}) {
+  let definition = source;
+  let lines = null;
+
+  if (typeof source === 'string') {
+    const format = options.format || (/^\s*[{[]/.test(source) ? 'json' : 'yaml');
+    try {
+      definition = format === 'json' ? JSON.parse(source) : yaml.load(source);
+    } catch (parseErr) {
+      return report([{
+        path: '$',
+        message: `Invalid ${format.toUpperCase()}: ${parseErr.reason || parseErr.message}`,
+        line: parseErr.mark ? parseErr.mark.line + 1 : undefined
+      }]);
+    }
+    if (format === 'yaml') {
+      lines = source.split(/\r?\n/);
+    }
+  }
+
+  const problems = [];
+  const add = (segments, message) => {
+    const path = toJsonPath(segments);
+    if (problems.some((problem) => problem.path === path && problem.message === message)) return;
+    problems.push({ path, message, line: lines ? findLine(lines, segments) : undefined });
+  };
+
+  // A bulk file holds several definitions
+  if (Array.isArray(definition)) {
+    for (const [index, item] of definition.entries()) {
+      await checkWorkflow(item, (segments, message) => add([index, ...segments], message));
+    }
+  } else {
+    await checkWorkflow(definition, add);
+  }
+
+  return report(problems);
+}
+
+async function checkWorkflow(definition, add) {
+  if (!isObject(definition)) {
+    add([], 'Definition must be an object');
+    return;
+  }
+
+  if (typeof definition.name !== 'string' || definition.name.trim() === '') {
+    add(['name'], 'name is required');
+  }
+  if (definition.tasks === undefined) {
+    add(['tasks'], 'tasks is required');
+  } else if (!isObject(definition.tasks)) {
+    add(['tasks'], 'tasks must be a map of task names to tasks');
+  }
+
+  const tasks = collectTasks(definition, add);
+  const reported = new Set();
+  const addOnce = (segments, message) => {
+    reported.add(message);
+    add(segments, message);
+  };
+
+  for (const { task, segments } of tasks) {
+    await checkHandler(task, segments, add);
+  }
+
+  for (const { task, segments, inForEach, inFallback } of tasks) {
+    for (const [key, value] of ownValues(task)) {
+      eachReference(value, [...segments, key], (path, ref) => {
+        addIf(path, checkReference(ref, definition, { inForEach, inFallback }), addOnce);
+      });
+    }
+  }
+  eachReference(definition.outputs, ['outputs'], (path, ref) => {
+    addIf(path, checkReference(ref, definition, {}), addOnce);
+  });
+
+  // The engine's own checks, placed at the task they name
+  const taskPaths = new Map(tasks.filter((entry) => entry.named).map((entry) => [entry.name, entry.segments]));
+  for (const message of checkDefinition(definition)) {
+    if (reported.has(message)) continue;
+
+    const taskMatch = message.match(/^Task \[([^\]]+)\](?: (\w+))?/);
+    const cycleMatch = message.match(/^Dependency cycle detected: (.+?) →/);
+    const [name, field] = taskMatch
+      ? [taskMatch[1], taskMatch[2]]
+      : cycleMatch ? [cycleMatch[1], 'dependsOn'] : [];
+
+    const segments = taskPaths.has(name) ? [...taskPaths.get(name)] : [];
+    if (segments.length > 0 && TASK_PROPERTIES.includes(field)) {
+      segments.push(field);
+    }
+    add(segments, message);
+  }
+}
+
+function addIf(segments, message, add) {
+  if (message) add(segments, message);
+}
+
+function report(problems) {
+  const sorted = [...problems].sort((a, b) => (a.line || Infinity) - (b.line || Infinity));
+  return { valid: sorted.length === 0, problems: sorted };
+}
+
+function isObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+// ============================================
+// Collect Tasks
+// ============================================
+// Every task with its path: top-level and child tasks, switch case tasks,
+// forEach templates, compensate and fallback tasks and the pre/post workflow hooks.
+// Flags unknown properties.
+function collectTasks(definition, add) {
+  const tasks = [];
+
+  const visit = (task, segments, { named, inForEach, inFallback = false }) => {
+    if (!isObject(task)) {
+      add(segments, 'Task must be an object');
+      return;
+    }
+
+    const name = segments[segments.length - 1];
+    tasks.push({ task, segments, name, named, inForEach, inFallback });
+
+    for (const key of Object.keys(task)) {
+      if (!TASK_PROPERTIES.includes(key)) {
+        add([...segments, key], `Unknown task property [${key}], expected one of ${TASK_PROPERTIES.join(', ')}`);
+      }
+    }
+
+    if (isObject(task.tasks)) {
+      for (const [childName, child] of Object.entries(task.tasks)) {
+        visit(child, [...segments, 'tasks', childName], { named: true, inForEach });
+      }
+    }
+
+    if (isObject(task.switch)) {
+      const groups = Object.entries(task.switch.cases || {}).map(([caseName, group]) => [['cases', caseName], group]);
+      if (task.switch.default !== undefined) groups.push([['default'], task.switch.default]);
+
+      for (const [groupPath, group] of groups) {
+        if (!isObject(group)) continue;
+        for (const [childName, child] of Object.entries(group)) {
+          visit(child, [...segments, 'switch', ...groupPath, childName], { named: true, inForEach });
+        }
+      }
+    }
+
+    if (isObject(task.forEach) && isObject(task.forEach.task)) {
+      visit(task.forEach.task, [...segments, 'forEach', 'task'], { named: false, inForEach: true });
+    }
+
+    if (isObject(task.compensate)) {
+      visit(task.compensate, [...segments, 'compensate'], { named: false, inForEach });
+    }
+
+    if (isObject(task.fallback)) {
+      visit(task.fallback, [...segments, 'fallback'], { named: false, inForEach, inFallback: true });
+    }
+  };
+
+  if (isObject(definition.tasks)) {
+    for (const [name, task] of Object.entries(definition.tasks)) {
+      visit(task, ['tasks', name], { named: true, inForEach: false });
+    }
+  }
+  for (const hook of ['pre workflow', 'post workflow']) {
+    if (definition[hook] !== undefined) {
+      visit(definition[hook], [hook], { named: true, inForEach: false });
+    }
+  }
+
+  return tasks;
+}
+
+// A task's values without the tasks nested in it, which are checked on their own
+function ownValues(task) {
+  return Object.entries(task)
+    .filter(([key]) => !['tasks', 'compensate', 'fallback'].includes(key))
+    .map(([key, value]) => {
+      if (key === 'forEach' && isObject(value)) return [key, { ...value, task: undefined }];
+      // Without a value the case names are conditions, which may hold references
+      if (key === 'switch' && isObject(value)) {
+        const conditions = value.value === undefined && isObject(value.cases) ? Object.keys(value.cases) : [];
+        return [key, { value: value.value, cases: Object.fromEntries(conditions.map((caseName) => [caseName, caseName])) }];
+      }
+      return [key, value];
+    });
+}
+
+// ============================================
+// Check Handlers
+// ============================================
+async function checkHandler(task, segments, add) {
+  if (task.handler === undefined) return;
+
+  let module;
+  try {
+    module = await resolveHandler(task.handler);
+  } catch (handlerErr) {
+    add([...segments, 'handler'], handlerErr.message);
+    return;
+  }
+
+  for (const parameter of module.requiredParameters || []) {
+    if (!hasParameter(task.parameters, parameter.split('.'))) {
+      add([...segments, 'parameters', ...parameter.split('.')], `Handler [${task.handler}] requires parameters.${parameter}`);
+    }
+  }
+}
+
+// A reference along the way (e.g. parameters: "$[item]") may supply the rest
+function hasParameter(value, parts) {
+  let current = value;
+  for (const part of parts) {
+    if (typeof current === 'string' && current.includes('$[')) return true;
+    if (!isObject(current) || current[part] === undefined) return false;
+    current = current[part];
+  }
+  return true;
+}
+
+// ============================================
+// Check References
+// ============================================
+// Calls visit(path, ref) for every reference in the strings of a value
+function eachReference(value, segments, visit) {
+  if (typeof value === 'string') {
+    findReferences(value).forEach((ref) => visit(segments, ref));
+  } else if (value !== null && typeof value === 'object') {
+    for (const [key, child] of Object.entries(value)) {
+      eachReference(child, [...segments, Array.isArray(value) ? Number(key) : key], visit);
+    }
+  }
+}
+
+// Returns a problem message, or null when the reference can resolve. Data
+// a handler produces at run time (anything under parameters) is not checked.
+function checkReference(ref, definition, { inForEach = false, inFallback = false }) {
+  let path;
+  try {
+    path = parseReference(ref).path;
+  } catch (refErr) {
+    return refErr.message;
+  }
+
+  const parts = path.split('.').map((part) => part.replace(/\[\d+\]$/, ''));
+  const root = parts[0];
+
+  switch (root) {
+    case 'tasks':
+      return checkTaskPath(path, parts.slice(1), definition.tasks);
+    case 'inputs': {
+      if (definition.inputs === undefined) {
+        return `$[${path}] references inputs, but the workflow declares none`;
+      }
+      const properties = isObject(definition.inputs) && definition.inputs.properties;
+      if (parts[1] && isObject(properties) && properties[parts[1]] === undefined) {
+        return `$[${path}] references undeclared input [${parts[1]}]`;
+      }
+      return null;
+    }
+    case 'item':
+    case 'index':
+      return inForEach ? null : `$[${path}] is only available inside a forEach task`;
+    case 'error':
+      return inFallback ? null : `$[${path}] is only available inside a fallback task`;
+    case 'environment':
+      return null;
+    default:
+      return definition[root] !== undefined || WORKFLOW_FIELDS.includes(root)
+        ? null
+        : `$[${path}] references unknown data [${root}]`;
+  }
+}
+
+function checkTaskPath(path, parts, tasks) {
+  let siblings = tasks;
+
+  for (let i = 0; i < parts.length; i += 2) {
+    const name = parts[i];
+    const task = isObject(siblings) ? siblings[name] : undefined;
+    if (!isObject(task)) {
+      return `$[${path}] references unknown task [${name}]`;
+    }
+
+    const field = parts[i + 1];
+    if (field === undefined) return null;
+    if (field === 'tasks') {
+      siblings = childTasks(task);
+      continue;
+    }
+    if (TASK_PROPERTIES.includes(field) || RUNTIME_TASK_FIELDS.includes(field)) return null;
+    return `$[${path}] references unknown field [${field}] of task [${name}]`;
+  }
+
+  return null;
+}
+
+// Child tasks, including those of switch cases which become children at run time
+function childTasks(task) {
+  const children = { ...(isObject(task.tasks) ? task.tasks : {}) };
+
+  if (isObject(task.switch)) {
+    const groups = [...Object.values(task.switch.cases || {}), task.switch.default];
+    for (const group of groups) {
+      if (isObject(group)) Object.assign(children, group);
+    }
+  }
+
+  return children;
+}
+
+// ============================================
+// Paths and Line Numbers
+// ============================================
+function toJsonPath(segments) {
+  return '$' + segments.map((segment) => {
+    if (typeof segment === 'number') return `[${segment}]`;
+    return /^[A-Za-z_$][\w$]*$/.test(segment) ? `.${segment}` : `['${segment.replace(/'/g, "\\'")}']`;
+  }).join('');
+}
+
+// Line of the deepest part of a path found in YAML text, following keys and
+// "- " items down the indentation. Flow style ({ a: 1 }) stops the search at
+// the enclosing key, which is still the right place to look.
+function findLine(lines, segments) {
+  let line;
+  let from = 0;
+  let parentIndent = -1;
+  let parentIsItem = false;
+
+  for (const segment of segments) {
+    let childIndent = null;
+    let count = 0;
+    let hit = null;
+
+    for (let i = from; i < lines.length; i++) {
+      const text = lines[i];
+      const trimmed = text.trim();
+      if (trimmed === '' || trimmed.startsWith('#') || /^(---|\.\.\.)$/.test(trimmed)) continue;
+
+      const match = text.match(/^(\s*)(-\s+)?(?:(["']?)(.*?)\3\s*:(?:\s|$))?/);
+      const indent = match[1].length;
+      const isItem = match[2] !== undefined;
+      const key = match[4];
+      const keyIndent = indent + (isItem ? match[2].length : 0);
+
+      const onParentLine = parentIsItem && i === from;
+      if (!onParentLine) {
+        const outside = parentIsItem
+          ? indent <= parentIndent
+          : indent < parentIndent || (indent === parentIndent && !isItem);
+        if (outside) break;
+      }
+
+      if (typeof segment === 'number') {
+        if (!isItem || onParentLine) continue;
+        if (childIndent === null) childIndent = indent;
+        if (indent !== childIndent) continue;
+        if (count === segment) {
+          hit = { index: i, indent, isItem: true };
+          break;
+        }
+        count++;
+      } else if (key !== undefined) {
+        if (childIndent === null) childIndent = keyIndent;
+        if (keyIndent === childIndent && key === segment) {
+          hit = { index: i, indent: keyIndent, isItem: false };
+          break;
+        }
+      }
+    }
+
+    if (!hit) break;
+
+    line = hit.index + 1;
+    from = hit.isItem ? hit.index : hit.index + 1;
+    parentIndent = hit.indent;
+    parentIsItem = hit.isItem;
+  }
+
+  return line;
+}
+
+export default {
+  validateDefinition,
+  TASK_PROPERTIES
+};
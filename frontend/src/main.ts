@@ -17,6 +17,15 @@ interface WorkflowInstance {
   tasks?: Record<string, any>;
 }
 
+interface DelayedRun {
+  jobId: string;
+  workflowId: string;
+  workflowName: string;
+  priority: number;
+  queuedAt: number;
+  runAt: number;
+}
+
 interface StatsResponse {
   initialized: boolean;
   config?: any;
@@ -204,6 +213,30 @@ document.addEventListener('DOMContentLoaded', () => {
                       </div>
                     </div>
                   </div>
+
+                  <!-- Delayed Starts -->
+                  <div class="mt-8 bg-[#0d0e14] border border-[#1f2231] rounded-xl overflow-hidden">
+                    <div class="px-6 py-5 border-b border-[#1f2231] flex items-center justify-between">
+                      <h2 class="text-sm font-semibold tracking-wider uppercase text-gray-400 font-mono">Delayed Starts</h2>
+                      <span class="text-xs font-mono text-sky-400 bg-sky-500/10 px-2 py-0.5 rounded border border-sky-500/20" id="delayed-count">0 waiting</span>
+                    </div>
+                    <div class="overflow-x-auto">
+                      <table class="w-full text-left border-collapse">
+                        <thead>
+                          <tr class="border-b border-[#1f2231]/50 bg-[#0b0c12]">
+                            <th class="py-3.5 px-6 text-xs font-mono text-gray-500 uppercase">Run ID</th>
+                            <th class="py-3.5 px-6 text-xs font-mono text-gray-500 uppercase">Pipeline Name</th>
+                            <th class="py-3.5 px-6 text-xs font-mono text-gray-500 uppercase">Starts At</th>
+                            <th class="py-3.5 px-6 text-xs font-mono text-gray-500 uppercase">Countdown</th>
+                            <th class="py-3.5 px-6 text-xs font-mono text-gray-500 uppercase text-right">Action</th>
+                          </tr>
+                        </thead>
+                        <tbody id="delayed-list" class="divide-y divide-[#1f2231]/40">
+                          <!-- Dynamically loaded -->
+                        </tbody>
+                      </table>
+                    </div>
+                  </div>
                 </section>
 
                 <!-- Run Pipeline Subtab -->
@@ -229,6 +262,14 @@ document.addEventListener('DOMContentLoaded', () => {
                             <option value="1">Medium (1)</option>
                             <option value="2">Low (2)</option>
                           </select>
+                          <span class="text-xs text-gray-500 font-mono">Start:</span>
+                          <select id="pipeline-delay" class="bg-[#161722] border border-[#1f2231] text-xs font-mono text-gray-300 rounded px-2.5 py-1.5 focus:outline-none">
+                            <option value="">Now</option>
+                            <option value="1m">In 1 min</option>
+                            <option value="5m">In 5 min</option>
+                            <option value="15m">In 15 min</option>
+                            <option value="1h">In 1 hour</option>
+                          </select>
                         </div>
                         <button id="btn-trigger-pipeline" class="bg-indigo-600 hover:bg-indigo-700 text-white text-xs font-semibold font-mono py-2.5 px-4 rounded-md transition duration-150 cursor-pointer flex items-center gap-2">
                           <i class="fa-solid fa-bolt"></i> Execute Pipeline
@@ -361,10 +402,13 @@ document.addEventListener('DOMContentLoaded', () => {
   const activeJobsList = document.getElementById('active-jobs-list') as HTMLTableSectionElement;
   const historyList = document.getElementById('history-list') as HTMLTableSectionElement;
   const dlqList = document.getElementById('dlq-list') as HTMLTableSectionElement;
+  const delayedList = document.getElementById('delayed-list') as HTMLTableSectionElement;
+  const delayedCount = document.getElementById('delayed-count') as HTMLSpanElement;
 
   // Editor and Template controls
   const pipelineEditor = document.getElementById('pipeline-editor') as HTMLTextAreaElement;
   const pipelinePriority = document.getElementById('pipeline-priority') as HTMLSelectElement;
+  const pipelineDelay = document.getElementById('pipeline-delay') as HTMLSelectElement;
   const btnTriggerPipeline = document.getElementById('btn-trigger-pipeline') as HTMLButtonElement;
   const formatYamlBtn = document.getElementById('format-yaml') as HTMLButtonElement;
   const formatJsonBtn = document.getElementById('format-json') as HTMLButtonElement;
@@ -392,6 +436,7 @@ document.addEventListener('DOMContentLoaded', () => {
   let editorFormat: 'yaml' | 'json' = 'yaml';
   let isEnginePaused = false;
   let allWorkflows: WorkflowInstance[] = [];
+  let delayedRuns: DelayedRun[] = [];
 
   // --- Templates Definitions ---
   const templates: Record<string, string> = {
@@ -628,7 +673,11 @@ tasks:
 
         if (concurrencyTasks) concurrencyTasks.textContent = stats.config.queue?.taskConcurrency || 100;
         if (concurrencyWorkflows) concurrencyWorkflows.textContent = stats.config.queue?.workflowConcurrency || 50;
-        if (redisHost) redisHost.textContent = `${stats.config.redis?.host || 'localhost'}:${stats.config.redis?.port || 6379}`;
+        if (redisHost) {
+          redisHost.textContent = stats.config.queue?.backend === 'memory'
+            ? 'in-process (memory)'
+            : `${stats.config.redis?.host || 'localhost'}:${stats.config.redis?.port || 6379}`;
+        }
         if (retryStrategy) retryStrategy.textContent = stats.config.retry?.strategy || 'exponential';
       }
 
@@ -659,6 +708,12 @@ tasks:
       if (activeJobsCount) activeJobsCount.textContent = `${activeCount} running`;
 
       renderActiveList(allWorkflows.filter(wf => wf.status !== 'completed' && wf.status !== 'failed'));
+
+      // 3. Fetch runs queued to start later
+      const delayedRes = await fetch('/api/workflows/delayed');
+      delayedRuns = delayedRes.ok ? await delayedRes.json() : [];
+      if (delayedCount) delayedCount.textContent = `${delayedRuns.length} waiting`;
+      renderDelayedList(delayedRuns);
       
       if (activeTab === 'history') {
         renderHistoryList(allWorkflows);
@@ -735,6 +790,55 @@ tasks:
     attachDeleteListeners();
   }
 
+  function renderDelayedList(runs: DelayedRun[]) {
+    if (!delayedList) return;
+    delayedList.innerHTML = '';
+
+    if (runs.length === 0) {
+      delayedList.innerHTML = '<tr><td colspan="5" class="py-6 px-6 text-center text-xs font-mono text-gray-500">No runs waiting for their start time</td></tr>';
+      return;
+    }
+
+    runs.forEach(run => {
+      const tr = document.createElement('tr');
+      tr.className = "hover:bg-[#161722]/30 transition duration-150";
+      tr.innerHTML = `
+        <td class="py-4 px-6 font-mono text-xs text-gray-500"><code>${run.workflowId.substring(0, 8)}</code></td>
+        <td class="py-4 px-6 text-sm font-semibold text-gray-300">${run.workflowName || 'Unnamed Pipeline'}</td>
+        <td class="py-4 px-6 text-xs font-mono text-gray-400">${new Date(run.runAt).toLocaleString()}</td>
+        <td class="py-4 px-6"><span class="delayed-countdown px-2 py-0.5 text-xs font-mono rounded bg-sky-500/10 text-sky-400 border border-sky-500/20" data-run-at="${run.runAt}">${formatCountdown(run.runAt - Date.now())}</span></td>
+        <td class="py-4 px-6 text-right">
+          <div class="flex justify-end gap-2 font-mono text-xs">
+            <button class="btn-cancel-delayed text-rose-400 hover:text-rose-300 hover:bg-rose-500/10 border border-rose-500/20 px-2.5 py-1 rounded transition cursor-pointer" data-id="${run.workflowId}">
+              Cancel
+            </button>
+          </div>
+        </td>
+      `;
+      delayedList.appendChild(tr);
+    });
+
+    attachCancelDelayedListeners();
+  }
+
+  function formatCountdown(ms: number): string {
+    if (ms <= 0) return 'starting...';
+    const totalSeconds = Math.ceil(ms / 1000);
+    const hours = Math.floor(totalSeconds / 3600);
+    const minutes = Math.floor((totalSeconds % 3600) / 60);
+    const seconds = totalSeconds % 60;
+    if (hours > 0) return `${hours}h ${String(minutes).padStart(2, '0')}m`;
+    return `${minutes}m ${String(seconds).padStart(2, '0')}s`;
+  }
+
+  // Ticks the countdowns between data refreshes
+  function updateCountdowns() {
+    document.querySelectorAll<HTMLSpanElement>('.delayed-countdown').forEach(span => {
+      const runAt = Number(span.getAttribute('data-run-at'));
+      span.textContent = formatCountdown(runAt - Date.now());
+    });
+  }
+
   function renderHistoryList(workflows: WorkflowInstance[]) {
     if (!historyList) return;
     const filterText = historySearchInput ? historySearchInput.value.toLowerCase().trim() : '';
@@ -916,6 +1020,7 @@ tasks:
         }
 
         const priority = pipelinePriority ? parseInt(pipelinePriority.value, 10) : 0;
+        const delay = pipelineDelay && pipelineDelay.value ? pipelineDelay.value : undefined;
         
         const response = await fetch('/api/workflows/run', {
           method: 'POST',
@@ -923,13 +1028,17 @@ tasks:
           body: JSON.stringify({
             yamlString: editorFormat === 'yaml' ? bodyData : undefined,
             jsonObj: editorFormat === 'json' ? JSON.parse(bodyData) : undefined,
-            priority
+            priority,
+            delay
           })
         });
 
         const result = await response.json();
 
-        if (result.success) {
+        if (result.success && result.runAt) {
+          showToast(`Pipeline will start at ${new Date(result.runAt).toLocaleTimeString()}`, 'success');
+          switchTab('dashboard');
+        } else if (result.success) {
           showToast(`Pipeline enqueued successfully! Job ID: ${result.jobId.substring(0, 8)}`, 'success');
           switchTab('dashboard');
         } else {
@@ -1098,7 +1207,37 @@ tasks:
     });
   }
 
+  function attachCancelDelayedListeners() {
+    const freshButtons = document.querySelectorAll<HTMLButtonElement>('.btn-cancel-delayed');
+    freshButtons.forEach(btn => {
+      btn.addEventListener('click', async (e) => {
+        e.stopPropagation();
+        const id = btn.getAttribute('data-id');
+        if (!id) return;
+        if (!confirm(`Cancel delayed run ${id.substring(0, 8)} before it starts?`)) return;
+
+        try {
+          const res = await fetch(`/api/workflows/${id}/cancel`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ reason: 'Cancelled before its start time' })
+          });
+          const result = await res.json();
+          if (result.success) {
+            showToast('Delayed run cancelled', 'success');
+            fetchData();
+          } else {
+            showToast(result.error || 'Failed to cancel delayed run', 'error');
+          }
+        } catch (err) {
+          showToast('Network error during cancellation', 'error');
+        }
+      });
+    });
+  }
+
   // --- Initial Data Load ---
   fetchData();
   setInterval(fetchData, 4000);
+  setInterval(updateCountdowns, 1000);
 });
@@ -8,30 +8,48 @@ import yaml from 'js-yaml';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import api from './engine/api.js';
+import { scanAllTasks } from './engine/processus.js';
+import { redactSecrets } from './engine/redact.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
 const app = express();
 const PORT = process.env.PORT || 3000;
+const APPROVAL_SWEEP_INTERVAL = Number(process.env.APPROVAL_SWEEP_INTERVAL) || 60000;
 
 // Middleware
 app.use(express.json());
 app.use(express.text({ type: 'application/yaml' }));
 app.use(express.static(path.join(__dirname, 'public')));
 
-// Initialize Engine with Queue Support; fallback to Direct Execution if Redis is unavailable
+// Initialize Engine with Queue Support, on Redis or with QUEUE_BACKEND=memory in this process
+// With QUEUE_ROLE=producer this node only enqueues, run `processus-cli worker` elsewhere
+// There is no fallback to direct execution: priorities, retries and the DLQ would silently vanish
 api.initAsync({ useQueue: true })
-  .then(() => console.log('🚀 Orchestration Engine initialized successfully with Queue support (Redis)'))
+  .then(() => {
+    const backend = process.env.QUEUE_BACKEND === 'memory' ? 'in-process memory' : 'Redis';
+    const role = process.env.QUEUE_ROLE === 'producer' ? ', producer only' : '';
+    console.log(`🚀 Orchestration Engine initialized successfully with Queue support (${backend}${role})`);
+    startApprovalSweep();
+  })
   .catch(err => {
-    console.warn('⚠️ Failed to initialize engine with Queue support (Redis may not be running).');
-    console.error('   Redis Connection Error Details:', err);
-    console.warn('🔄 Falling back to Direct Execution mode (no Redis queue required).');
-    api.initAsync({ useQueue: false })
-      .then(() => console.log('🚀 Orchestration Engine initialized successfully in Direct Execution mode'))
-      .catch(fallbackErr => console.error('❌ Failed to initialize engine in fallback mode:', fallbackErr));
+    console.error('❌ Failed to initialize engine with Queue support:', err.message);
+    console.error('   Start Redis (REDIS_HOST/REDIS_PORT), or set QUEUE_BACKEND=memory to run the queue in this process.');
+    process.exit(1);
   });
 
+// Periodically expire approvals nobody decided in time
+function startApprovalSweep() {
+  setInterval(() => {
+    api.expireApprovalsAsync()
+      .then(count => {
+        if (count > 0) console.log(`⌛ Expired ${count} approval(s)`);
+      })
+      .catch(err => console.error('❌ Approval expiry sweep failed:', err.message));
+  }, APPROVAL_SWEEP_INTERVAL).unref();
+}
+
 // ============================================
 // REST API ENDPOINTS
 // ============================================
@@ -50,7 +68,7 @@ app.get('/api/stats', async (req, res) => {
 app.get('/api/workflows', async (req, res) => {
   try {
     const workflows = await api.getWorkflowsAsync();
-    res.json(workflows);
+    res.json(redactSecrets(workflows));
   } catch (err) {
     res.status(500).json({ error: err.message });
   }
@@ -60,7 +78,7 @@ app.get('/api/workflows', async (req, res) => {
 app.get('/api/workflows/:id/status', async (req, res) => {
   try {
     const status = await api.getWorkflowStatusAsync(req.params.id);
-    res.json(status);
+    res.json(redactSecrets(status));
   } catch (err) {
     res.status(500).json({ error: err.message });
   }
@@ -71,6 +89,9 @@ app.post('/api/workflows/run', async (req, res) => {
   try {
     let workflowDef;
     let priority = 0;
+    let inputs = {};
+    // Raw YAML/JSON bodies can give the start time as ?delay=30s or ?runAt=<date>
+    let { delay, runAt } = req.query;
 
     // Handle YAML text body
     if (req.headers['content-type'] === 'application/yaml' || req.headers['content-type'] === 'text/yaml') {
@@ -79,6 +100,9 @@ app.post('/api/workflows/run', async (req, res) => {
       // Handle JSON body (check if wrapped by frontend)
       if (req.body && (req.body.yamlString !== undefined || req.body.jsonObj !== undefined)) {
         priority = req.body.priority || 0;
+        inputs = req.body.inputs || {};
+        delay = req.body.delay !== undefined ? req.body.delay : delay;
+        runAt = req.body.runAt !== undefined ? req.body.runAt : runAt;
         if (req.body.yamlString !== undefined) {
           workflowDef = yaml.load(req.body.yamlString);
         } else {
@@ -96,17 +120,33 @@ app.post('/api/workflows/run', async (req, res) => {
     // Run using queue (uses BullMQ/Redis)
     const result = await api.queueWorkflowAsync(workflowDef, {
       priority: priority,
-      retry: true
+      retry: true,
+      inputs: inputs,
+      delay: delay,
+      runAt: runAt
     });
 
     res.json({
       success: true,
-      message: 'Workflow submitted and enqueued',
+      message: result.runAt
+        ? `Workflow submitted, starts at ${new Date(result.runAt).toISOString()}`
+        : 'Workflow submitted and enqueued',
       jobId: result.jobId,
+      workflowId: result.workflowId,
       queueName: result.queueName,
-      workflowName: result.workflowName
+      workflowName: result.workflowName,
+      runAt: result.runAt || null
     });
   } catch (err) {
+    if (err.code === 'INVALID_INPUTS') {
+      return res.status(400).json({ error: 'Invalid workflow inputs', violations: err.violations });
+    }
+    if (err.code === 'INVALID_DELAY') {
+      return res.status(400).json({ error: err.message });
+    }
+    if (err.code === 'QUEUE_REQUIRED') {
+      return res.status(503).json({ error: err.message });
+    }
     res.status(500).json({ error: err.message });
   }
 });
@@ -116,7 +156,7 @@ app.get('/api/dlq', async (req, res) => {
   try {
     // In our model, failed workflows are stored with status = 'failed'
     const failedWorkflows = await api.getWorkflowsAsync({ status: 'failed' });
-    res.json(failedWorkflows);
+    res.json(redactSecrets(failedWorkflows));
   } catch (err) {
     res.status(500).json({ error: err.message });
   }
@@ -198,9 +238,288 @@ app.delete('/api/workflows', async (req, res) => {
   }
 });
 
+// 11. Cancel a queued, running or paused workflow
+app.post('/api/workflows/:id/cancel', async (req, res) => {
+  try {
+    const reason = req.body && req.body.reason;
+    const workflow = await api.cancelWorkflowAsync(req.params.id, reason);
+    res.json({
+      success: true,
+      message: 'Workflow cancelled',
+      workflowId: req.params.id,
+      status: workflow.status,
+      reason: workflow.cancelReason
+    });
+  } catch (err) {
+    if (err.code === 'WORKFLOW_FINISHED') {
+      return res.status(409).json({ error: err.message });
+    }
+    if (err.code === 'ENOENT' || /not found/i.test(err.message)) {
+      return res.status(404).json({ error: 'Workflow instance not found' });
+    }
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// 12. Resume a paused task with its output parameters
+app.post('/api/workflows/:id/tasks/:taskName/resume', async (req, res) => {
+  try {
+    const parameters = (req.body && req.body.parameters) || {};
+    if (typeof parameters !== 'object' || Array.isArray(parameters)) {
+      return res.status(400).json({ error: '"parameters" must be an object' });
+    }
+
+    const workflow = await api.resumeTaskAsync(req.params.id, req.params.taskName, parameters);
+    res.json({
+      success: true,
+      message: 'Task resumed',
+      workflowId: req.params.id,
+      status: workflow.status
+    });
+  } catch (err) {
+    if (['WORKFLOW_FINISHED', 'WORKFLOW_BUSY', 'TASK_NOT_PAUSED', 'APPROVAL_PENDING'].includes(err.code)) {
+      return res.status(409).json({ error: err.message });
+    }
+    if (err.code === 'TASK_NOT_FOUND') {
+      return res.status(404).json({ error: err.message });
+    }
+    if (err.code === 'ENOENT' || /not found/i.test(err.message)) {
+      return res.status(404).json({ error: 'Workflow instance not found' });
+    }
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// 13. Approval inbox - tasks waiting for a decision
+app.get('/api/approvals', async (req, res) => {
+  try {
+    const approvals = await api.listApprovalsAsync();
+    res.json(approvals);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// 14. Approve or reject a pending approval task
+async function decideApproval(req, res, decide) {
+  try {
+    const { actor, comment } = req.body || {};
+    const workflow = await decide(req.params.workflowId, req.params.task, actor, comment);
+
+    let approval = null;
+    scanAllTasks(workflow.tasks, true, (task, name) => {
+      if (name !== req.params.task) return true;
+      approval = task.parameters && task.parameters.approval;
+      return false;
+    });
+
+    if (approval && approval.decision === 'expired') {
+      return res.status(410).json({ error: 'Approval has expired', workflowId: workflow.id, status: workflow.status });
+    }
+
+    res.json({
+      success: true,
+      workflowId: workflow.id,
+      status: workflow.status,
+      approval
+    });
+  } catch (err) {
+    if (err.code === 'APPROVER_NOT_ALLOWED') {
+      return res.status(403).json({ error: err.message });
+    }
+    if (['WORKFLOW_FINISHED', 'WORKFLOW_BUSY', 'TASK_NOT_PAUSED', 'NOT_AN_APPROVAL'].includes(err.code)) {
+      return res.status(409).json({ error: err.message });
+    }
+    if (err.code === 'TASK_NOT_FOUND') {
+      return res.status(404).json({ error: err.message });
+    }
+    if (err.code === 'ENOENT' || /not found/i.test(err.message)) {
+      return res.status(404).json({ error: 'Workflow instance not found' });
+    }
+    res.status(500).json({ error: err.message });
+  }
+}
+
+app.post('/api/approvals/:workflowId/:task/approve', (req, res) => decideApproval(req, res, api.approveTaskAsync));
+app.post('/api/approvals/:workflowId/:task/reject', (req, res) => decideApproval(req, res, api.rejectTaskAsync));
+
+// 15. Get the outputs of a workflow
+app.get('/api/workflows/:id/outputs', async (req, res) => {
+  try {
+    const result = await api.getWorkflowOutputsAsync(req.params.id);
+    res.json(result);
+  } catch (err) {
+    if (err.code === 'ENOENT' || /not found/i.test(err.message)) {
+      return res.status(404).json({ error: 'Workflow instance not found' });
+    }
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// 16. Validate a workflow definition without running it
+app.post('/api/definitions/validate', async (req, res) => {
+  try {
+    let definition;
+    let format;
+
+    const contentType = req.headers['content-type'];
+    if (contentType === 'application/yaml' || contentType === 'text/yaml') {
+      definition = req.body;
+      format = 'yaml';
+    } else if (req.body && req.body.yamlString !== undefined) {
+      definition = req.body.yamlString;
+      format = 'yaml';
+    } else if (req.body && req.body.jsonObj !== undefined) {
+      definition = req.body.jsonObj;
+    } else {
+      definition = req.body;
+    }
+
+    if (definition === undefined || definition === '' ||
+        (typeof definition === 'object' && definition !== null && Object.keys(definition).length === 0)) {
+      return res.status(400).json({ error: 'Missing workflow definition' });
+    }
+
+    const result = await api.validateDefinitionAsync(definition, { format });
+    res.json(result);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// 17. Restart a finished workflow from its failed tasks, a given task, or all
+app.post('/api/workflows/:id/restart', async (req, res) => {
+  try {
+    const body = req.body || {};
+    let mode = body.mode || req.query.mode || 'from-failed';
+    let task = body.task || req.query.task;
+
+    // "from-task=<name>" is accepted as a shorthand
+    if (typeof mode === 'string' && mode.startsWith('from-task=')) {
+      task = mode.slice('from-task='.length);
+      mode = 'from-task';
+    }
+
+    const workflow = await api.restartWorkflowAsync(req.params.id, { mode, task, reason: body.reason });
+    const restart = workflow.restarts[workflow.restarts.length - 1];
+    res.json({
+      success: true,
+      message: 'Workflow restarted',
+      workflowId: req.params.id,
+      status: workflow.status,
+      resetTasks: restart.resetTasks
+    });
+  } catch (err) {
+    if (err.code === 'INVALID_RESTART') {
+      return res.status(400).json({ error: err.message });
+    }
+    if (['WORKFLOW_BUSY', 'WORKFLOW_NOT_FINISHED', 'NOTHING_TO_RESTART'].includes(err.code)) {
+      return res.status(409).json({ error: err.message });
+    }
+    if (err.code === 'TASK_NOT_FOUND') {
+      return res.status(404).json({ error: err.message });
+    }
+    if (err.code === 'ENOENT' || /not found/i.test(err.message)) {
+      return res.status(404).json({ error: 'Workflow instance not found' });
+    }
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// 18. List workflow schedules with their last and next run times
+app.get('/api/schedules', async (req, res) => {
+  try {
+    const schedules = await api.listSchedulesAsync();
+    res.json(schedules);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// 19. Schedule a definition: { definition: <name> | yamlString | jsonObj, cron, timezone, inputs, startAt, endAt }
+app.post('/api/schedules', async (req, res) => {
+  try {
+    const { cron, timezone, inputs, startAt, endAt } = req.body || {};
+    let definition = req.body && req.body.definition;
+
+    if (req.body && req.body.yamlString !== undefined) {
+      definition = yaml.load(req.body.yamlString);
+    } else if (req.body && req.body.jsonObj !== undefined) {
+      definition = req.body.jsonObj;
+    }
+
+    if (!definition) {
+      return res.status(400).json({ error: 'Missing definition: give a saved definition name, yamlString or jsonObj' });
+    }
+
+    const schedule = await api.scheduleWorkflowAsync(definition, { cron, timezone, inputs, startAt, endAt });
+    res.status(201).json(schedule);
+  } catch (err) {
+    if (err.code === 'INVALID_SCHEDULE') {
+      return res.status(400).json({ error: err.message });
+    }
+    if (err.code === 'INVALID_INPUTS') {
+      return res.status(400).json({ error: 'Invalid workflow inputs', violations: err.violations });
+    }
+    if (err.code === 'DEFINITION_NOT_FOUND') {
+      return res.status(404).json({ error: err.message });
+    }
+    if (err.code === 'QUEUE_REQUIRED') {
+      return res.status(503).json({ error: err.message });
+    }
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// 20. Delete a workflow schedule
+app.delete('/api/schedules/:id', async (req, res) => {
+  try {
+    const schedule = await api.unscheduleWorkflowAsync(req.params.id);
+    res.json({ success: true, message: `Schedule ${req.params.id} deleted`, schedule });
+  } catch (err) {
+    if (err.code === 'SCHEDULE_NOT_FOUND') {
+      return res.status(404).json({ error: err.message });
+    }
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// 21. List workflows queued to start later (cancel one with route 11)
+app.get('/api/workflows/delayed', async (req, res) => {
+  try {
+    const delayed = await api.listDelayedWorkflowsAsync();
+    res.json(delayed);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
 // Start Server
-app.listen(PORT, () => {
+const server = app.listen(PORT, () => {
   console.log(`\n==================================================`);
   console.log(`🚀 Server running at http://localhost:${PORT}`);
   console.log(`==================================================\n`);
 });
+
+// Graceful shutdown: stop accepting requests, let in-process workers finish
+// their active jobs, then exit; a second signal exits at once
+let stopping = false;
+function shutdown(signal) {
+  if (stopping) {
+    console.warn(`⚠️ ${signal} received again, exiting without waiting for active jobs`);
+    process.exit(1);
+  }
+  stopping = true;
+  console.log(`🛑 ${signal} received, shutting down...`);
+
+  server.close();
+  api.closeAsync()
+    .then(() => process.exit(0))
+    .catch(err => {
+      console.error('❌ Failed to shut down cleanly:', err.message);
+      process.exit(1);
+    });
+}
+
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+process.on('SIGINT', () => shutdown('SIGINT'));
@@ -0,0 +1,62 @@
+// taskHandlers/approvalHandler.js
+// Approval Handler - Pause a workflow until a person approves or rejects it
+
+import logger from '../engine/logger.js';
+import { parseDuration } from '../engine/duration.js';
+
+/**
+ * Approval Handler
+ * Pauses the task and records an approval request. The decision is made
+ * through POST /api/approvals/:workflowId/:task/approve|reject (or
+ * api.approveTaskAsync / api.rejectTaskAsync); pending requests are listed
+ * by GET /api/approvals.
+ * 
+ * Task INPUT:
+ * @param {string} task.parameters.prompt - The question shown to approvers
+ * @param {Array|string} task.parameters.approvers - Who may decide (omit to allow anyone)
+ * @param {string|number} task.parameters.expiresIn - Time to decide, e.g. "2h" (optional)
+ * 
+ * Task OUTPUT:
+ * @param {Object} task.parameters.approval - The request and its outcome:
+ *   prompt, approvers, requestedAt, expiresAt, decision
+ *   (pending|approved|rejected|expired), actor, comment, decidedAt
+ * 
+ * Rejection or expiry fails the task, unless the task lists an onReject
+ * branch of tasks to run instead.
+ * 
+ * @example
+ * {
+ *   handler: "builtin:approval",
+ *   parameters: {
+ *     prompt: "Deploy release $[tasks.build.parameters.version] to production?",
+ *     approvers: ["ana", "raj"],
+ *     expiresIn: "4h"
+ *   },
+ *   onReject: ["notify_rejected"]
+ * }
+ */
+export default function approvalHandler(workflowId, taskName, task, callback) {
+  try {
+    const params = task.parameters || {};
+    const approvers = params.approvers === undefined ? [] : [].concat(params.approvers);
+    const requestedAt = Date.now();
+
+    const approval = {
+      prompt: params.prompt || `Approve task [${taskName}]?`,
+      approvers,
+      requestedAt,
+      expiresAt: params.expiresIn !== undefined ? requestedAt + parseDuration(params.expiresIn) : null,
+      decision: 'pending'
+    };
+
+    task.parameters = { ...params, approval };
+    task.status = 'paused';
+
+    logger.info(`✋ Task [${taskName}] is waiting for approval: ${approval.prompt}`);
+    callback(null, task);
+
+  } catch (error) {
+    logger.error(`Approval handler error: ${error.message}`);
+    callback(error, task);
+  }
+}
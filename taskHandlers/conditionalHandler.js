@@ -2,13 +2,18 @@
 // Fixed: ES6 modules, better logic, fixed bugs
 
 import logger from '../engine/logger.js';
+import { evaluateCondition } from '../engine/expression.js';
+
+export const requiredParameters = ['conditions'];
 
 /**
  * Condition Handler
  * A simple condition evaluation handler for non-programmers
  * 
  * Task INPUT:
- * @param {Object} task.parameters.conditions - Condition objects
+ * @param {Object} task.parameters.conditions - Condition objects, each with
+ *   valueA/operator/valueB or a single expression, e.g.
+ *   { "expression": "$[tasks.count.parameters.total] > 5 && $[environment.MODE] == 'prod'" }
  * 
  * Supported operators (case-insensitive):
  * - "IS", "EQUALS", "=", "MATCH"
@@ -55,6 +60,14 @@ export default function conditionalHandler(workflowId, taskName, task, callback)
     for (const conditionName of conditionNames) {
       const condition = task.parameters.conditions[conditionName];
 
+      // Expressions arrive with their $[] references already turned into literals
+      if (condition.expression !== undefined) {
+        const isValid = evaluateCondition(condition.expression);
+        logger.debug(`Condition [${conditionName}]: ${condition.expression} = ${isValid}`);
+        recordResult(task, condition, isValid);
+        continue;
+      }
+
       // Extract values
       let valA = condition.valueA;
       let valB = condition.valueB;
@@ -149,16 +162,7 @@ export default function conditionalHandler(workflowId, taskName, task, callback)
           return;
       }
 
-      // Store result in condition
-      condition.valid = isValid;
-      condition.invalid = !isValid;
-
-      // Update aggregate flags
-      if (isValid) {
-        task.parameters.anyValid = true;
-      } else {
-        task.parameters.allValid = false;
-      }
+      recordResult(task, condition, isValid);
     }
 
     // Set convenience flags
@@ -172,4 +176,16 @@ export default function conditionalHandler(workflowId, taskName, task, callback)
     logger.error(`Conditional handler error: ${error.message}`);
     callback(error, task);
   }
-}
\ No newline at end of file
+}
+
+// Store the result in the condition and update the aggregate flags
+function recordResult(task, condition, isValid) {
+  condition.valid = isValid;
+  condition.invalid = !isValid;
+
+  if (isValid) {
+    task.parameters.anyValid = true;
+  } else {
+    task.parameters.allValid = false;
+  }
+}
@@ -2,11 +2,13 @@
 // Exec Handler - Execute shell commands as child processes
 // Fixed: ES6 modules, async file operations, better error handling
 
-import { exec, spawn } from 'child_process';
+import { spawn } from 'child_process';
 import fs from 'fs/promises';
 import fsSync from 'fs';
 import logger from '../engine/logger.js';
 
+export const requiredParameters = ['cmd'];
+
 /**
  * Exec Handler
  * Execute commands as child processes (foreground or background)
@@ -21,10 +23,14 @@ import logger from '../engine/logger.js';
  * @param {string} task.parameters.stderr - Standard error (if not background)
  * @param {number} task.parameters.pid - Process ID (if background)
  * 
+ * A foreground command is killed when the workflow is cancelled or the task
+ * times out (signal), and when this process exits or is stopped by a signal.
+ * Background processes are detached and keep running.
+ * 
  * @example
  * // Foreground execution
  * {
- *   handler: "./taskHandlers/exeHandler.js",
+ *   handler: "builtin:exec",
  *   parameters: {
  *     cmd: "ls -la"
  *   }
@@ -33,7 +39,7 @@ import logger from '../engine/logger.js';
  * @example
  * // Background execution
  * {
- *   handler: "./taskHandlers/exeHandler.js",
+ *   handler: "builtin:exec",
  *   parameters: {
  *     cmd: "node",
  *     arguments: ["server.js", "--port", "3000"],
@@ -41,7 +47,7 @@ import logger from '../engine/logger.js';
  *   }
  * }
  */
-export default function exeHandler(workflowId, taskName, task, callback) {
+export default function exeHandler(workflowId, taskName, task, callback, signal) {
   try {
     // Validate parameters exist
     if (!task.parameters) {
@@ -66,7 +72,7 @@ export default function exeHandler(workflowId, taskName, task, callback) {
     if (task.parameters.background === true) {
       executeBackground(workflowId, taskName, task, callback);
     } else {
-      executeForeground(taskName, task, callback);
+      executeForeground(taskName, task, callback, signal);
     }
 
   } catch (error) {
@@ -113,15 +119,97 @@ function executeBackground(workflowId, taskName, task, callback) {
   }
 }
 
+// Process groups of the foreground commands still running. A detached group
+// does not get the Ctrl-C or SIGTERM sent to this process, so the groups are
+// killed when it exits. A signal with no other handler would end the process
+// without 'exit', so then the groups are killed and the signal raised again;
+// where the server or worker handles it, they drain first and exit
+const liveGroups = new Set();
+
+function killLiveGroups() {
+  for (const pid of liveGroups) {
+    try {
+      process.kill(-pid, 'SIGTERM');
+    } catch (killError) {
+      // The group is already gone
+    }
+  }
+  liveGroups.clear();
+}
+
+function onTerminationSignal(signal) {
+  if (process.listenerCount(signal) > 1) {
+    return;
+  }
+  killLiveGroups();
+  process.removeListener(signal, onTerminationSignal);
+  process.kill(process.pid, signal);
+}
+
+let groupsWatched = false;
+function watchLiveGroups() {
+  if (groupsWatched) {
+    return;
+  }
+  groupsWatched = true;
+  process.on('exit', killLiveGroups);
+  ['SIGINT', 'SIGTERM', 'SIGHUP'].forEach((signal) => process.on(signal, onTerminationSignal));
+}
+
 /**
  * Execute command in foreground (wait for completion)
  * stdout and stderr are captured and stored in task parameters
  */
-function executeForeground(taskName, task, callback) {
+function executeForeground(taskName, task, callback, signal) {
   logger.debug(`Executing command: ${task.parameters.cmd}`);
 
-  // Execute the command
-  exec(task.parameters.cmd, (error, stdout, stderr) => {
+  // The command runs in its own process group so that cancelling the
+  // workflow, or the task timing out, kills the shell together with
+  // everything it started
+  let child = null;
+  const onAbort = () => {
+    logger.info(`🛑 Killing command of task [${taskName}]: ${signal.reason}`);
+    try {
+      process.kill(-child.pid, 'SIGTERM');
+    } catch (killError) {
+      logger.debug(`Unable to kill process group ${child.pid}: ${killError.message}`);
+    }
+  };
+
+  // Execute the command; exec() cannot start a process group, so the shell
+  // is spawned detached and its output collected here
+  let stdout = '';
+  let stderr = '';
+  let finished = false;
+
+  child = spawn(task.parameters.cmd, { shell: true, detached: true });
+  if (child.pid) {
+    watchLiveGroups();
+    liveGroups.add(child.pid);
+  }
+  child.stdout.on('data', (data) => { stdout += data; });
+  child.stderr.on('data', (data) => { stderr += data; });
+  child.on('error', (spawnError) => finish(spawnError));
+  child.on('close', (code, killedBy) => {
+    if (code === 0) {
+      finish(null);
+      return;
+    }
+    const reason = killedBy ? `killed by ${killedBy}` : `exit code ${code}`;
+    finish(new Error(`Command failed (${reason}): ${task.parameters.cmd}`));
+  });
+
+  function finish(error) {
+    if (finished) {
+      return;
+    }
+    finished = true;
+    liveGroups.delete(child.pid);
+
+    if (signal) {
+      signal.removeEventListener('abort', onAbort);
+    }
+
     try {
       // Store output (strip trailing newlines)
       task.parameters.stdout = stdout.replace(/\n$/, '');
@@ -162,5 +250,9 @@ function executeForeground(taskName, task, callback) {
       logger.error(`❌ Error processing exec output: ${processError.message}`);
       callback(processError, task);
     }
-  });
+  }
+
+  if (signal) {
+    signal.addEventListener('abort', onAbort, { once: true });
+  }
 }
\ No newline at end of file
@@ -5,6 +5,8 @@
 import fs from 'fs/promises';
 import logger from '../engine/logger.js';
 
+export const requiredParameters = ['file.name'];
+
 /**
  * File Handler
  * Load or save files with automatic JSON parsing/stringification
@@ -27,7 +29,7 @@ import logger from '../engine/logger.js';
  * @example
  * // Load file
  * {
- *   handler: "./taskHandlers/fileHandler.js",
+ *   handler: "builtin:file",
  *   parameters: {
  *     file: {
  *       name: "./config.json"
@@ -38,7 +40,7 @@ import logger from '../engine/logger.js';
  * @example
  * // Save file
  * {
- *   handler: "./taskHandlers/fileHandler.js",
+ *   handler: "builtin:file",
  *   parameters: {
  *     file: {
  *       name: "./output.json",
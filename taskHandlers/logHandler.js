@@ -4,6 +4,8 @@
 
 import logger from '../engine/logger.js';
 
+export const requiredParameters = ['log'];
+
 /**
  * Log Handler
  * Logs a message at the specified log level
@@ -21,7 +23,7 @@ import logger from '../engine/logger.js';
  * 
  * @example
  * {
- *   handler: "./taskHandlers/logHandler.js",
+ *   handler: "builtin:log",
  *   parameters: {
  *     level: "info",
  *     log: "Workflow started successfully"
@@ -31,7 +33,7 @@ import logger from '../engine/logger.js';
  * @example
  * // Using variable interpolation
  * {
- *   handler: "./taskHandlers/logHandler.js",
+ *   handler: "builtin:log",
  *   parameters: {
  *     level: "error",
  *     log: "Task failed: $[tasks.previous.errorMsg]"
@@ -16,8 +16,9 @@ import logger from '../engine/logger.js';
  * - Task executes after delay (if specified)
  * - Task returns error (if error=true)
  * - Task status set to "paused" (if paused=true)
+ * - Pending delay is abandoned if the workflow is cancelled or the task times out (signal)
  */
-export default function testHandler(workflowId, taskName, task, callback) {
+export default function testHandler(workflowId, taskName, task, callback, signal) {
   try {
     // Validate parameters
     if (!task.parameters) {
@@ -49,7 +50,11 @@ export default function testHandler(workflowId, taskName, task, callback) {
       logger.debug(`Test handler delaying ${timeout}ms for task: ${taskName}`);
     }
 
-    setTimeout(() => {
+    const timer = setTimeout(() => {
+      if (signal) {
+        signal.removeEventListener('abort', onAbort);
+      }
+
       if (error) {
         logger.debug(`Test handler returning error for task: ${taskName}`);
         callback(error, task);
@@ -59,6 +64,16 @@ export default function testHandler(workflowId, taskName, task, callback) {
       }
     }, timeout);
 
+    function onAbort() {
+      clearTimeout(timer);
+      logger.debug(`Test handler cancelled for task: ${taskName}`);
+      callback(new Error(`Task [${taskName}] was cancelled`), task);
+    }
+
+    if (signal) {
+      signal.addEventListener('abort', onAbort, { once: true });
+    }
+
   } catch (handlerError) {
     logger.error(`Test handler error: ${handlerError.message}`);
     callback(handlerError, task);
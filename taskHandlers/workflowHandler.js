@@ -6,6 +6,8 @@ import * as processus from '../engine/processus.js';
 import store from '../engine/persistence/store.js';
 import logger from '../engine/logger.js';
 
+export const requiredParameters = ['file'];
+
 /**
  * Workflow Handler
  * Load and execute a workflow from within another workflow
@@ -22,7 +24,7 @@ import logger from '../engine/logger.js';
  * @example
  * // Load and execute workflow from file
  * {
- *   handler: "./taskHandlers/workflowHandler.js",
+ *   handler: "builtin:workflow",
  *   parameters: {
  *     file: "./workflows/sub-workflow.yaml"
  *   }
@@ -31,7 +33,7 @@ import logger from '../engine/logger.js';
  * @example
  * // Execute provided workflow object
  * {
- *   handler: "./taskHandlers/workflowHandler.js",
+ *   handler: "builtin:workflow",
  *   parameters: {
  *     file: "inline-workflow",
  *     workflow: {
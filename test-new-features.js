@@ -23,7 +23,7 @@ async function runTests() {
       retry: false
     });
     
-    console.log(`✅ Direct execution completed: ${result1.id}`);
+    console.log(`✅ Direct execution completed: ${result1.workflowId}`);
     console.log(`   Status: ${result1.status}\n`);
 
     // ===========================
@@ -35,7 +35,7 @@ async function runTests() {
     
     console.log(`✅ Retry execution completed`);
     console.log(`   Attempts: ${result2.attempts}`);
-    console.log(`   Success: ${result2.success}\n`);
+    console.log(`   Status: ${result2.status}\n`);
 
     // ===========================
     // Test 3: Queue Execution (requires Redis)
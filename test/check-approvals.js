@@ -0,0 +1,49 @@
+// test/check-approvals.js
+// A rejected approval with onReject runs that branch and skips the tasks the
+// executor would only start after the approval: in a workflow without
+// dependsOn, those after it in task order
+
+import assert from 'node:assert/strict';
+import { startEngine, waitForFinish, passed } from './helpers.js';
+
+const api = await startEngine();
+
+const log = (message, extra = {}) => ({ handler: 'builtin:log', parameters: { log: message }, ...extra });
+
+try {
+  const { workflowId } = await api.executeAsync({
+    name: 'Check-Approvals-Ordered',
+    tasks: {
+      build: log('building', { blocking: true }),
+      release: {
+        blocking: true,
+        handler: 'builtin:log',
+        parameters: { log: 'releasing' },
+        tasks: {
+          review: { blocking: true, handler: 'builtin:approval', onReject: ['rollback'] },
+          deploy: log('deploying', { blocking: true }),
+          smoke: log('smoke testing')
+        }
+      },
+      announce: log('announcing', { blocking: true }),
+      rollback: log('rolling back')
+    }
+  }, { useQueue: false, retry: false });
+
+  let workflow = await api.getWorkflowStatusAsync(workflowId);
+  assert.equal(workflow.tasks.release.tasks.review.status, 'paused');
+  assert.equal(workflow.tasks.release.tasks.deploy.status, 'waiting', 'nothing after the approval has started');
+
+  await api.rejectTaskAsync(workflowId, 'review', 'raj', 'Tests are red');
+  workflow = await waitForFinish(workflowId);
+
+  assert.equal(workflow.status, 'completed');
+  assert.equal(workflow.tasks.build.status, 'completed');
+  assert.equal(workflow.tasks.release.tasks.deploy.status, 'skipped');
+  assert.equal(workflow.tasks.release.tasks.smoke.status, 'skipped');
+  assert.equal(workflow.tasks.announce.status, 'skipped', 'the task after the blocking parent is skipped too');
+  assert.equal(workflow.tasks.rollback.status, 'completed');
+  passed('a rejected approval skips the tasks that follow it in task order and runs onReject');
+} finally {
+  await api.closeAsync();
+}
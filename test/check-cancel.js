@@ -0,0 +1,37 @@
+// test/check-cancel.js
+// A workflow executing in this process is cancelled by the CLI in another
+// process: it stops before its next task instead of overwriting the
+// cancellation. The first task runs long enough for the CLI to start even on
+// a busy machine
+
+import assert from 'node:assert/strict';
+import { execFile } from 'node:child_process';
+import { randomUUID } from 'node:crypto';
+import { promisify } from 'node:util';
+import { startEngine, passed } from './helpers.js';
+
+const api = await startEngine();
+
+const id = randomUUID();
+const running = api.executeAsync({
+  name: 'Check-Cancel',
+  id,
+  tasks: {
+    slow: { blocking: true, handler: 'builtin:test', parameters: { delay: 4000 } },
+    next: { blocking: true, handler: 'builtin:test', parameters: { delay: 10 } }
+  }
+}, { useQueue: false });
+
+await new Promise((resolve) => setTimeout(resolve, 300));
+await promisify(execFile)('node', ['bin/processus-cli', '--cancel', id, '--reason', 'Cancelled from the CLI', '-l', 'error']);
+
+const result = await running;
+assert.equal(result.status, 'cancelled');
+
+const workflow = await api.getWorkflowStatusAsync(id);
+assert.equal(workflow.status, 'cancelled');
+assert.equal(workflow.cancelReason, 'Cancelled from the CLI');
+assert.equal(workflow.tasks.next.status, 'cancelled', 'no task starts after the cancellation');
+passed('a cancellation saved by another process stops the executing workflow');
+
+await api.closeAsync();
@@ -0,0 +1,42 @@
+// test/check-delayed.js
+// A delayed run waits in the queue until its start time, shows up in the
+// delayed list meanwhile, and can be cancelled before it starts
+
+import assert from 'node:assert/strict';
+import { startEngine, waitForFinish, passed } from './helpers.js';
+
+const api = await startEngine();
+
+const definition = (name) => ({
+  name,
+  tasks: { stamp: { blocking: true, handler: 'builtin:test', parameters: { delay: 1 } } }
+});
+
+const submitted = Date.now();
+const later = await api.queueWorkflowAsync(definition('Check-Delayed'), { delay: '600ms' });
+const cancelled = await api.executeAsync(definition('Check-Delayed-Cancelled'), {
+  useQueue: false,
+  runAt: new Date(submitted + 800).toISOString()
+});
+assert.ok(later.runAt >= submitted + 600);
+
+const delayed = await api.listDelayedWorkflowsAsync();
+assert.deepEqual(delayed.map((run) => run.workflowId), [later.workflowId, cancelled.workflowId], 'soonest first');
+assert.equal(delayed[1].workflowName, 'Check-Delayed-Cancelled');
+passed('delayed runs are listed soonest first, also when submitted with useQueue false');
+
+await api.cancelWorkflowAsync(cancelled.workflowId, 'No longer needed');
+assert.deepEqual((await api.listDelayedWorkflowsAsync()).map((run) => run.workflowId), [later.workflowId]);
+
+const workflow = await waitForFinish(later.workflowId);
+assert.equal(workflow.status, 'completed');
+assert.ok(workflow.tasks.stamp.timeStarted >= submitted + 600, 'the run starts after its delay');
+await new Promise((resolve) => setTimeout(resolve, 400));
+assert.equal((await api.getWorkflowStatusAsync(cancelled.workflowId)).status, 'cancelled');
+passed('a delayed run starts after its delay, and a cancelled one never starts');
+
+await assert.rejects(api.queueWorkflowAsync(definition('Check-Delayed-Both'), { delay: '1s', runAt: Date.now() }), { code: 'INVALID_DELAY' });
+await assert.rejects(api.queueWorkflowAsync(definition('Check-Delayed-Bad'), { delay: 'soon' }), { code: 'INVALID_DELAY' });
+passed('a delay together with runAt, or one that is not a duration, is refused');
+
+await api.closeAsync();
@@ -0,0 +1,90 @@
+// test/check-distributed.js
+// With distributedTasks every task runs as a job on the workflow-tasks queue,
+// and the results advance the saved instance until the workflow finishes or
+// is cancelled, which aborts the handlers still running
+
+import assert from 'node:assert/strict';
+import { execFile } from 'node:child_process';
+import { promisify } from 'node:util';
+import { startEngine, waitForFinish, passed } from './helpers.js';
+
+const api = await startEngine({ distributedTasks: true });
+
+api.registerHandler('measure', async ({ task }) => {
+  await new Promise((resolve) => setTimeout(resolve, 50));
+  return { size: task.parameters.files * 10 };
+});
+api.registerHandler('fail', async () => {
+  throw new Error('disk full');
+});
+const started = [];
+const aborted = [];
+api.registerHandler('hang', ({ taskName, signal }) => new Promise((resolve, reject) => {
+  started.push(taskName);
+  signal.addEventListener('abort', () => {
+    aborted.push(taskName);
+    reject(new Error(`aborted: ${signal.reason}`));
+  });
+}));
+
+const queued = await api.queueWorkflowAsync({
+  name: 'Check-Distributed',
+  tasks: {
+    logs: { handler: 'measure', parameters: { files: 2 } },
+    images: { handler: 'measure', parameters: { files: 3 } },
+    total: {
+      handler: 'builtin:log',
+      dependsOn: ['logs', 'images'],
+      parameters: { log: 'Sizes $[tasks.logs.parameters.size] and $[tasks.images.parameters.size]' }
+    }
+  }
+});
+
+let workflow = await waitForFinish(queued.workflowId);
+assert.equal(workflow.status, 'completed');
+assert.equal(workflow.distributed, true);
+assert.equal(workflow.tasks.total.parameters.log, 'Sizes 20 and 30');
+
+// The last task job is counted once its result has been saved
+let processed = 0;
+for (let tries = 0; tries < 20 && processed < 4; tries++) {
+  await new Promise((resolve) => setTimeout(resolve, 50));
+  processed = (await api.getStatsAsync()).queue.global.jobsProcessed;
+}
+assert.equal(processed, 4, 'the workflow job, then one job per task');
+passed('a distributed workflow runs each task as a task job and completes');
+
+const failing = await api.queueWorkflowAsync({
+  name: 'Check-Distributed-Failure',
+  tasks: {
+    backup: { blocking: true, handler: 'fail' },
+    cleanup: { blocking: true, handler: 'builtin:log', parameters: { log: 'cleaning up' } }
+  }
+});
+
+workflow = await waitForFinish(failing.workflowId);
+assert.equal(workflow.status, 'error');
+assert.equal(workflow.tasks.backup.errorMsg, 'disk full');
+assert.equal(workflow.tasks.cleanup.status, 'waiting', 'nothing is queued after a task fails');
+passed('a failed task job fails the workflow and queues nothing more');
+
+// Cancelled in this process, then by the CLI in another one
+for (const [name, cancel] of [
+  ['here', (workflowId) => api.cancelWorkflowAsync(workflowId, 'Cancelled here')],
+  ['cli', (workflowId) => promisify(execFile)('node', ['bin/processus-cli', '--cancel', workflowId, '--reason', 'Cancelled from the CLI', '-l', 'error'])]
+]) {
+  const hanging = await api.queueWorkflowAsync({ name: `Check-Distributed-Cancel-${name}`, tasks: { [name]: { handler: 'hang' } } });
+  for (let tries = 0; tries < 100 && !started.includes(name); tries++) {
+    await new Promise((resolve) => setTimeout(resolve, 50));
+  }
+  await cancel(hanging.workflowId);
+  for (let tries = 0; tries < 60 && !aborted.includes(name); tries++) {
+    await new Promise((resolve) => setTimeout(resolve, 50));
+  }
+  assert.ok(aborted.includes(name), `the handler was aborted when cancelled ${name === 'cli' ? 'by the CLI' : 'here'}`);
+  workflow = await waitForFinish(hanging.workflowId);
+  assert.equal(workflow.status, 'cancelled');
+}
+passed('cancelling a distributed workflow aborts the handlers running its tasks');
+
+await api.closeAsync();
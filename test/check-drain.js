@@ -0,0 +1,42 @@
+// test/check-drain.js
+// On SIGTERM a node stops taking jobs but lets the active ones finish before
+// it exits, and the worker command refuses a bad concurrency
+
+import assert from 'node:assert/strict';
+import { execFile } from 'node:child_process';
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import { promisify } from 'node:util';
+import { startServer, dataDir, passed } from './helpers.js';
+
+const server = await startServer();
+
+const run = async (definition, query = '') => {
+  const response = await fetch(`${server.url}/api/workflows/run${query}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(definition)
+  });
+  return (await response.json()).workflowId;
+};
+
+const active = await run({
+  name: 'Check-Drain-Active',
+  tasks: { slow: { blocking: true, handler: 'builtin:test', parameters: { delay: 1500 } } }
+});
+const later = await run({
+  name: 'Check-Drain-Later',
+  tasks: { quick: { blocking: true, handler: 'builtin:test', parameters: { delay: 10 } } }
+}, '?delay=500');
+
+await new Promise((resolve) => setTimeout(resolve, 300));
+assert.equal(await server.stop(), 0, 'the node exits cleanly once drained');
+
+const saved = JSON.parse(await fs.readFile(path.join(dataDir, active), 'utf8'));
+assert.equal(saved.status, 'completed', 'the active workflow finished before the node exited');
+await assert.rejects(fs.readFile(path.join(dataDir, later), 'utf8'), { code: 'ENOENT' }, 'no job starts after SIGTERM');
+passed('SIGTERM lets active jobs finish and takes no new ones');
+
+const worker = promisify(execFile)('node', ['bin/processus-cli', 'worker', '--concurrency', '0', '-l', 'error']);
+await assert.rejects(worker, { code: 1 });
+passed('the worker command refuses a concurrency that is not a positive whole number');
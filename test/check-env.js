@@ -0,0 +1,95 @@
+// test/check-env.js
+// Workflows only see the environment variables ENV_EXPOSE and their own
+// declaration allow, the REST API and the store mask secret-looking values,
+// and runs continuing from the store read the environment again
+
+import assert from 'node:assert/strict';
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import { startServer, dataDir, passed } from './helpers.js';
+
+const password = 'correct-horse-battery';
+const server = await startServer({
+  ENV_EXPOSE: 'APP_*,REGION,DB_PASSWORD',
+  ENV_HIDE: 'APP_INTERNAL',
+  APP_BUCKET: 'backups',
+  APP_INTERNAL: 'internal',
+  REGION: 'eu-west-1',
+  DB_PASSWORD: password,
+  UNLISTED_TOKEN: 'never-exposed'
+});
+
+// Poll the instance until check() accepts it
+const waitFor = async (workflowId, check) => {
+  const deadline = Date.now() + 15000;
+  while (Date.now() < deadline) {
+    const workflow = await (await fetch(`${server.url}/api/workflows/${workflowId}/status`)).json();
+    if (workflow.tasks && check(workflow)) {
+      return workflow;
+    }
+    await new Promise((resolve) => setTimeout(resolve, 100));
+  }
+  throw new Error(`Workflow [${workflowId}] did not get there within 15s`);
+};
+
+const run = async (definition, check = (workflow) => workflow.status === 'completed') => {
+  const response = await fetch(`${server.url}/api/workflows/run`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(definition)
+  });
+  const { workflowId } = await response.json();
+  return waitFor(workflowId, check);
+};
+
+try {
+  const undeclared = await run({
+    name: 'Check-Env',
+    tasks: {
+      connect: { handler: 'builtin:log', parameters: { log: 'Connecting to $[environment.APP_BUCKET] with $[environment.DB_PASSWORD]' } }
+    }
+  });
+  assert.deepEqual(Object.keys(undeclared.environment).sort(), ['APP_BUCKET', 'DB_PASSWORD', 'REGION']);
+  passed('a workflow without a declaration sees what ENV_EXPOSE allows and ENV_HIDE does not hide');
+
+  const declared = await run({
+    name: 'Check-Env-Declared',
+    environment: ['REGION', 'UNLISTED_TOKEN', 'APP_INTERNAL'],
+    tasks: { region: { handler: 'builtin:log', parameters: { log: '$[environment.REGION]' } } }
+  });
+  assert.deepEqual(declared.environment, { REGION: 'eu-west-1' });
+  passed('a declaration cannot reach beyond ENV_EXPOSE or ENV_HIDE');
+
+  assert.equal(undeclared.environment.DB_PASSWORD, '[REDACTED]');
+  assert.equal(undeclared.tasks.connect.parameters.log, 'Connecting to backups with [REDACTED]');
+  assert.ok(!JSON.stringify(undeclared).includes(password), 'the REST API never shows the password');
+  passed('the REST API masks secret-looking values');
+
+  const file = await fs.readFile(path.join(dataDir, undeclared.id), 'utf8');
+  assert.ok(!file.includes(password), 'the stored instance never holds the password');
+  const saved = JSON.parse(file);
+  assert.equal(saved.environment.DB_PASSWORD, '[REDACTED]');
+  assert.equal(saved.tasks.connect.parameters.log, 'Connecting to backups with [REDACTED]');
+  passed('the store masks secret-looking values before they are written');
+
+  // The resumed run loads the masked instance and reads the environment again;
+  // the command compares it with the variable the shell inherits
+  const paused = await run({
+    name: 'Check-Env-Resumed',
+    environment: ['DB_PASSWORD'],
+    tasks: {
+      wait: { blocking: true, handler: 'builtin:test', parameters: { paused: true } },
+      login: { blocking: true, handler: 'builtin:exec', parameters: { cmd: 'test "$[environment.DB_PASSWORD]" = "$DB_PASSWORD"' } }
+    }
+  }, (workflow) => workflow.tasks.wait.status === 'paused');
+  await fetch(`${server.url}/api/workflows/${paused.id}/tasks/wait/resume`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ parameters: {} })
+  });
+  const resumed = await waitFor(paused.id, (workflow) => workflow.status === 'completed' || workflow.status === 'error');
+  assert.equal(resumed.status, 'completed', 'the resumed task received the real password');
+  passed('a resumed run gets the real environment values back');
+} finally {
+  await server.stop();
+}
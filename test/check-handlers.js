@@ -0,0 +1,98 @@
+// test/check-handlers.js
+// Tasks find their handler as a builtin, a registered name, a plugin file in
+// HANDLERS_DIR or a module path, and an unknown name lists what is available.
+// A command still running when the CLI is stopped is stopped with it
+
+import assert from 'node:assert/strict';
+import { spawn } from 'node:child_process';
+import { once } from 'node:events';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import { startEngine, passed } from './helpers.js';
+
+const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'processus-handlers-'));
+await fs.writeFile(path.join(dir, 'greet.mjs'), [
+  "export const style = 'promise';",
+  'export default ({ task }) => ({ greeting: `hello ${task.parameters.who}` });'
+].join('\n'));
+process.env.HANDLERS_DIR = dir;
+
+const api = await startEngine();
+
+api.registerHandler('double', (workflowId, taskName, task, callback) => {
+  task.parameters.doubled = task.parameters.value * 2;
+  callback(null, task);
+});
+
+try {
+  const result = await api.executeAsync({
+    name: 'Check-Handlers',
+    tasks: {
+      builtin: { blocking: true, handler: 'builtin:log', parameters: { log: 'from a builtin' } },
+      registered: { blocking: true, handler: 'double', parameters: { value: 21 } },
+      plugin: { blocking: true, handler: 'greet', parameters: { who: 'plugins' } },
+      path: { blocking: true, handler: '../taskHandlers/testHandler.js', parameters: { delay: 1 } }
+    }
+  }, { useQueue: false, retry: false });
+
+  const workflow = await api.getWorkflowStatusAsync(result.workflowId);
+  assert.equal(workflow.status, 'completed');
+  assert.equal(workflow.tasks.registered.parameters.doubled, 42);
+  assert.equal(workflow.tasks.plugin.parameters.greeting, 'hello plugins');
+  assert.equal(workflow.tasks.path.status, 'completed');
+  passed('builtin, registered, plugin and module path handlers all run');
+
+  const available = api.listHandlers();
+  ['builtin:exec', 'builtin:log', 'double', 'greet'].forEach((name) => assert.ok(available.includes(name), `${name} is listed`));
+
+  const definition = { name: 'Check-Handlers-Unknown', tasks: { send: { handler: 'slack', parameters: {} } } };
+  const { valid, problems } = await api.validateDefinitionAsync(definition);
+  assert.equal(valid, false);
+  assert.match(problems.map((problem) => problem.message).join('\n'), /Unknown handler \[slack\], available handlers: builtin:approval, .*double, greet/);
+
+  const failed = await api.executeAsync(definition, { useQueue: false, retry: false }).catch((err) => err);
+  assert.match(failed.message, /Unknown handler \[slack\], available handlers: .*builtin:exec/);
+  passed('an unknown handler name fails with the list of available handlers');
+
+  assert.throws(() => api.registerHandler('builtin:slack', () => {}), /Invalid handler name/);
+  passed('a registered handler cannot take a builtin name');
+
+  const pidFile = path.join(dir, 'command.pid');
+  const definitionFile = path.join(dir, 'sleep.json');
+  await fs.writeFile(definitionFile, JSON.stringify({
+    name: 'Check-Handlers-Stopped',
+    tasks: { sleep: { handler: 'builtin:exec', parameters: { cmd: `echo $$ > ${pidFile}; sleep 30` } } }
+  }));
+  const cli = spawn('node', ['bin/processus-cli', '-f', definitionFile, '-l', 'error'], { stdio: 'ignore' });
+  let shell = NaN;
+  for (let tries = 0; tries < 100 && !shell; tries++) {
+    await new Promise((resolve) => setTimeout(resolve, 100));
+    shell = parseInt(await fs.readFile(pidFile, 'utf8').catch(() => ''), 10);
+  }
+  assert.ok(shell, 'the command started');
+  cli.kill('SIGTERM');
+  await once(cli, 'exit');
+  // The killed shell stays a zombie until init reaps it, which counts as stopped
+  const running = async (pid) => {
+    const stat = await fs.readFile(`/proc/${pid}/stat`, 'utf8').catch(() => null);
+    if (stat !== null) {
+      return !/\) Z /.test(stat);
+    }
+    try {
+      return process.kill(pid, 0);
+    } catch {
+      return false;
+    }
+  };
+  let alive = true;
+  for (let tries = 0; tries < 20 && alive; tries++) {
+    await new Promise((resolve) => setTimeout(resolve, 100));
+    alive = await running(shell);
+  }
+  assert.equal(alive, false, 'the command does not outlive the CLI');
+  passed('stopping the CLI stops the commands it is running');
+} finally {
+  await api.closeAsync();
+  await fs.rm(dir, { recursive: true, force: true });
+}
@@ -0,0 +1,96 @@
+// test/check-memory-queue.js
+// The memory queue backend keeps the BullMQ semantics the engine relies on:
+// priorities, pause/resume, delays, attempts with backoff, concurrency and
+// stats. It is refused wherever another process would need to see its jobs
+
+// helpers.js first, it sets the data directory before the engine is loaded
+import { silenceLogs, passed } from './helpers.js';
+import assert from 'node:assert/strict';
+import { execFile } from 'node:child_process';
+import { promisify } from 'node:util';
+import { QueueManager } from '../engine/QueueManager.js';
+import { ProcessusEngine } from '../engine/ProcessusEngine.js';
+
+silenceLogs();
+
+const manager = new QueueManager({}, 'memory');
+await manager.connect();
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Wait until check() holds, so a busy machine only makes the checks slower
+const until = async (check) => {
+  for (let waited = 0; !(await check()); waited += 20) {
+    assert.ok(waited < 5000, 'gave up waiting for the queue');
+    await sleep(20);
+  }
+};
+
+// Jobs added while paused run by priority once resumed, lower first
+const order = [];
+manager.getQueue('ordered');
+await manager.pauseQueue('ordered');
+for (const priority of [3, 1, 2]) {
+  await manager.addJob('ordered', `p${priority}`, { priority }, { priority, removeOnComplete: false });
+}
+manager.createWorker('ordered', async (job) => { order.push(job.data.priority); }, { concurrency: 1 });
+await sleep(100);
+assert.deepEqual(order, [], 'a paused queue starts nothing');
+assert.equal((await manager.getQueueStats('ordered')).paused, 3);
+await manager.resumeQueue('ordered');
+await until(() => order.length === 3);
+assert.deepEqual(order, [1, 2, 3]);
+await until(async () => (await manager.getQueueStats('ordered')).completed === 3);
+passed('jobs wait while the queue is paused and then run by priority');
+
+// A delayed job waits; a failing one is retried after its backoff until it
+// runs out of attempts
+const started = {};
+manager.createWorker('timed', async (job) => {
+  (started[job.name] = started[job.name] || []).push(Date.now());
+  if (job.name === 'doomed' || (job.name === 'flaky' && job.attemptsMade < 2)) {
+    throw new Error('not yet');
+  }
+}, { concurrency: 5 });
+const added = Date.now();
+await manager.addJob('timed', 'later', {}, { delay: 300 });
+assert.equal((await manager.getQueueStats('timed')).delayed, 1);
+await manager.addJob('timed', 'flaky', {}, { attempts: 3, backoff: { type: 'fixed', delay: 150 } });
+await manager.addJob('timed', 'doomed', {}, { attempts: 1, removeOnFail: false });
+await until(() => started.later && started.doomed && (started.flaky || []).length === 3);
+assert.ok(started.later[0] >= added + 300, 'the delayed job starts after its delay');
+assert.equal(started.flaky.length, 3);
+assert.ok(started.flaky[1] - started.flaky[0] >= 150 && started.flaky[2] - started.flaky[1] >= 150, 'each retry waits for the backoff');
+assert.equal(started.doomed.length, 1);
+await until(async () => (await manager.getQueueStats('timed')).failed === 1);
+passed('delayed jobs wait, and failed jobs are retried after their backoff');
+
+// Never more jobs at once than the worker's concurrency
+let running = 0;
+let peak = 0;
+let done = 0;
+manager.createWorker('limited', async () => {
+  running++;
+  peak = Math.max(peak, running);
+  await sleep(50);
+  running--;
+  done++;
+}, { concurrency: 2 });
+for (let i = 0; i < 6; i++) {
+  await manager.addJob('limited', `job${i}`, {});
+}
+await until(() => done === 6);
+assert.equal(peak, 2);
+passed('a worker runs no more jobs at once than its concurrency');
+
+await manager.close();
+
+await assert.rejects(
+  new ProcessusEngine({ useQueue: true, queueBackend: 'memory', queueRole: 'producer' }).initialize(),
+  /memory queue backend only runs in one process/
+);
+const cli = promisify(execFile)('node', ['bin/processus-cli', '-f', 'test/demo1.json', '-q'], {
+  env: { ...process.env, QUEUE_BACKEND: 'memory' }
+});
+await assert.rejects(cli, (err) => err.code === 1 && /need QUEUE_BACKEND=bullmq/.test(err.stderr));
+passed('the producer role and CLI queue commands refuse the memory backend');
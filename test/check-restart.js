@@ -0,0 +1,38 @@
+// test/check-restart.js
+// Restarting resets tasks to their definition, also for instances that were
+// queued (and so had an id before they first ran)
+
+import assert from 'node:assert/strict';
+import { startEngine, waitForFinish, passed } from './helpers.js';
+
+const api = await startEngine();
+
+// Counts its runs in its own parameters, which a reset must clear
+api.registerHandler('countRuns', ({ task }) => ({ runs: (task.parameters.runs || 0) + 1 }));
+
+const definition = {
+  name: 'Check-Restart',
+  tasks: {
+    count: { handler: 'countRuns', parameters: { label: 'counted' } }
+  }
+};
+
+const queued = await api.queueWorkflowAsync(definition);
+let workflow = await waitForFinish(queued.workflowId);
+assert.equal(workflow.status, 'completed');
+assert.ok(workflow.taskTemplates, 'a queued instance records its task templates');
+
+await api.restartWorkflowAsync(queued.workflowId, { mode: 'all' });
+workflow = await waitForFinish(queued.workflowId);
+assert.equal(workflow.status, 'completed');
+assert.equal(workflow.restarts.length, 1);
+assert.equal(workflow.tasks.count.parameters.runs, 1, 'the restarted task starts from its definition');
+passed('a restarted queued instance runs its tasks from their definition');
+
+const direct = await api.executeAsync(definition, { useQueue: false });
+await api.restartWorkflowAsync(direct.workflowId, { mode: 'all' });
+workflow = await waitForFinish(direct.workflowId);
+assert.equal(workflow.tasks.count.parameters.runs, 1);
+passed('a restarted direct instance runs its tasks from their definition');
+
+await api.closeAsync();
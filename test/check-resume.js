@@ -0,0 +1,64 @@
+// test/check-resume.js
+// A paused task is resumed through the REST API with output parameters, which
+// later tasks see; resuming anything else is refused
+
+import assert from 'node:assert/strict';
+import { startServer, passed } from './helpers.js';
+
+const server = await startServer();
+
+const request = async (method, route, body) => {
+  const response = await fetch(`${server.url}${route}`, {
+    method,
+    headers: { 'Content-Type': 'application/json' },
+    body: body === undefined ? undefined : JSON.stringify(body)
+  });
+  return { status: response.status, body: await response.json() };
+};
+
+// Poll the instance until check() accepts it
+const waitFor = async (workflowId, check) => {
+  const deadline = Date.now() + 15000;
+  while (Date.now() < deadline) {
+    const { body } = await request('GET', `/api/workflows/${workflowId}/status`);
+    if (body && body.tasks && check(body)) {
+      return body;
+    }
+    await new Promise((resolve) => setTimeout(resolve, 100));
+  }
+  throw new Error(`Workflow [${workflowId}] did not get there within 15s`);
+};
+
+try {
+  const run = await request('POST', '/api/workflows/run', {
+    name: 'Check-Resume',
+    tasks: {
+      approve: { blocking: true, handler: 'builtin:test', parameters: { paused: true } },
+      report: { blocking: true, handler: 'builtin:log', parameters: { log: 'Approved by $[tasks.approve.parameters.approver]' } }
+    }
+  });
+  assert.equal(run.status, 200);
+  const { workflowId } = run.body;
+  await waitFor(workflowId, (workflow) => workflow.tasks.approve.status === 'paused');
+
+  let resumed = await request('POST', `/api/workflows/${workflowId}/tasks/unknown/resume`, {});
+  assert.equal(resumed.status, 404);
+  resumed = await request('POST', `/api/workflows/${workflowId}/tasks/report/resume`, {});
+  assert.equal(resumed.status, 409, 'a task that is not paused is not resumed');
+  resumed = await request('POST', `/api/workflows/${workflowId}/tasks/approve/resume`, { parameters: 'yes' });
+  assert.equal(resumed.status, 400);
+  passed('resuming an unknown or running task, or without a parameters object, is refused');
+
+  resumed = await request('POST', `/api/workflows/${workflowId}/tasks/approve/resume`, { parameters: { approver: 'ops' } });
+  assert.equal(resumed.status, 200);
+  const workflow = await waitFor(workflowId, (instance) => instance.status === 'completed');
+  assert.equal(workflow.tasks.approve.status, 'completed');
+  assert.equal(workflow.tasks.report.parameters.log, 'Approved by ops');
+  passed('a paused task resumed through the REST API passes its parameters on');
+
+  resumed = await request('POST', `/api/workflows/${workflowId}/tasks/approve/resume`, { parameters: {} });
+  assert.equal(resumed.status, 409, 'a completed workflow is not resumed');
+  passed('resuming a task of a completed workflow answers 409');
+} finally {
+  await server.stop();
+}
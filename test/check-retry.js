@@ -0,0 +1,79 @@
+// test/check-retry.js
+// A task's retry policy reruns only that task, records every attempt, and
+// leaves errors that retryOn does not match alone; a bad retryOn is rejected
+// up front
+
+import assert from 'node:assert/strict';
+import { randomUUID } from 'node:crypto';
+import { startEngine, passed } from './helpers.js';
+
+const api = await startEngine();
+
+// Fails with the given error until it has been called `failures` times
+const calls = {};
+api.registerHandler('flaky', async ({ taskName, task }) => {
+  calls[taskName] = (calls[taskName] || 0) + 1;
+  if (calls[taskName] <= task.parameters.failures) {
+    throw new Error(`${task.parameters.error} on call ${calls[taskName]}`);
+  }
+  return { calls: calls[taskName] };
+});
+
+const result = await api.executeAsync({
+  name: 'Check-Retry',
+  tasks: {
+    before: { blocking: true, handler: 'flaky', parameters: { failures: 0 } },
+    charge: {
+      blocking: true,
+      handler: 'flaky',
+      retry: { maxAttempts: 3, strategy: 'fixed', baseDelay: '50ms', retryOn: ['ECONNRESET'] },
+      parameters: { failures: 2, error: 'ECONNRESET' }
+    }
+  }
+}, { useQueue: false, retry: false });
+
+let workflow = await api.getWorkflowStatusAsync(result.workflowId);
+const charge = workflow.tasks.charge;
+assert.equal(workflow.status, 'completed');
+assert.equal(calls.before, 1, 'the other tasks of the workflow run once');
+assert.equal(charge.parameters.calls, 3);
+assert.deepEqual(charge.attempts.map((attempt) => attempt.status), ['error', 'error', 'completed']);
+assert.equal(charge.attempts[0].errorMsg, 'ECONNRESET on call 1');
+assert.ok(charge.attempts[1].timeStarted >= charge.attempts[0].timeCompleted + 40, 'the next attempt waits for the backoff');
+charge.attempts.forEach((attempt) => assert.equal(attempt.duration, attempt.timeCompleted - attempt.timeStarted));
+passed('a retried task records each attempt and reruns alone');
+
+const refusedId = randomUUID();
+await api.executeAsync({
+  name: 'Check-Retry-On',
+  id: refusedId,
+  tasks: {
+    refuse: {
+      blocking: true,
+      handler: 'flaky',
+      retry: { maxAttempts: 3, strategy: 'fixed', baseDelay: '50ms', retryOn: ['ECONNRESET', '/5\\d\\d/'] },
+      parameters: { failures: 2, error: 'HTTP 400' }
+    }
+  }
+}, { useQueue: false, retry: false }).catch(() => {});
+
+workflow = await api.getWorkflowStatusAsync(refusedId);
+assert.equal(workflow.status, 'error');
+assert.equal(workflow.tasks.refuse.attempts.length, 1, 'an error retryOn does not match is not retried');
+passed('a task is not retried for an error retryOn does not match');
+
+const unmatchable = {
+  name: 'Check-Retry-Bad-Pattern',
+  tasks: {
+    call: { handler: 'flaky', retry: { retryOn: ['ECONNRESET', '/(/'] }, parameters: { failures: 1, error: 'ECONNRESET' } }
+  }
+};
+const { valid, problems } = await api.validateDefinitionAsync(unmatchable);
+assert.equal(valid, false);
+assert.match(problems.map((problem) => problem.message).join('\n'), /retry\.retryOn: \[\/\(\/\] is not a valid regular expression/);
+await assert.rejects(api.executeAsync(unmatchable, { useQueue: false, retry: false }), /invalid retry policy/);
+await assert.rejects(api.executeAsync({ ...unmatchable, tasks: { call: { handler: 'flaky', retry: { retryOn: [500] } } } }, { useQueue: false, retry: false }),
+  /retryOn must be a string or an array of strings/);
+passed('a retryOn that is not a string, or does not compile, is rejected before the run');
+
+await api.closeAsync();
@@ -0,0 +1,79 @@
+// test/check-secrets.js
+// $secret[name] references reach the handler resolved from each kind of
+// provider, are saved as references, and fail the task when no provider
+// knows them
+
+import assert from 'node:assert/strict';
+import { execFile } from 'node:child_process';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import { promisify } from 'node:util';
+import { startEngine, dataDir, passed } from './helpers.js';
+
+const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'processus-secrets-'));
+await fs.mkdir(path.join(dir, 'mounted'));
+await fs.writeFile(path.join(dir, '.secrets.env'), 'API_TOKEN=token-from-env-file\n');
+await fs.writeFile(path.join(dir, 'mounted', 'registry-password'), 'password-from-directory\n');
+await fs.writeFile(path.join(dir, 'plain.json'), JSON.stringify({ db: { password: 'password-from-encrypted-file' } }));
+
+Object.assign(process.env, {
+  SECRETS_PROVIDERS: 'env-file,encrypted-file,directory',
+  SECRETS_ENV_FILE: path.join(dir, '.secrets.env'),
+  SECRETS_FILE: path.join(dir, 'secrets.enc.json'),
+  SECRETS_MASTER_KEY: 'check-secrets-master-key',
+  SECRETS_DIR: path.join(dir, 'mounted')
+});
+await promisify(execFile)('node', ['bin/processus-cli', '--encryptSecrets', path.join(dir, 'plain.json'), '-l', 'error']);
+
+const api = await startEngine();
+
+// Keeps what it was given outside the instance, which the store would save
+const received = {};
+api.registerHandler('remember', ({ taskName, task }) => {
+  received[taskName] = { ...task.parameters };
+  return {};
+});
+
+try {
+  const result = await api.executeAsync({
+    name: 'Check-Secrets',
+    tasks: {
+      connect: {
+        handler: 'remember',
+        parameters: {
+          token: '$secret[API_TOKEN]',
+          url: 'postgres://app:$secret[db.password]@db/app',
+          registry: '$secret[registry-password]'
+        }
+      }
+    }
+  }, { useQueue: false, retry: false });
+
+  assert.deepEqual(received.connect, {
+    token: 'token-from-env-file',
+    url: 'postgres://app:password-from-encrypted-file@db/app',
+    registry: 'password-from-directory'
+  });
+  passed('the handler receives secrets from the env-file, encrypted-file and directory providers');
+
+  const saved = await fs.readFile(path.join(dataDir, result.workflowId), 'utf8');
+  for (const value of ['token-from-env-file', 'password-from-encrypted-file', 'password-from-directory']) {
+    assert.ok(!saved.includes(value), 'no secret value is saved');
+  }
+  assert.equal(JSON.parse(saved).tasks.connect.parameters.url, 'postgres://app:$secret[db.password]@db/app');
+  passed('the saved instance keeps the $secret references instead of the values');
+
+  const failed = await api.executeAsync({
+    name: 'Check-Secrets-Missing',
+    tasks: { deploy: { handler: 'remember', parameters: { key: '$secret[nowhere]' } } }
+  }, { useQueue: false, retry: false }).catch((err) => err);
+
+  assert.ok(failed instanceof Error);
+  assert.match(failed.message, /secret \[nowhere\] not found/);
+  assert.equal(received.deploy, undefined, 'the handler does not run without its secret');
+  passed('a secret no provider knows fails the task before its handler runs');
+} finally {
+  await api.closeAsync();
+  await fs.rm(dir, { recursive: true, force: true });
+}
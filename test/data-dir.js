@@ -0,0 +1,15 @@
+// test/data-dir.js
+// Points the file store (DB_DIR) of a check script, and of the processes it
+// starts, at a temporary directory that is removed when the script exits.
+// The engine reads DB_DIR when it is loaded, so this is imported before it
+
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+
+export const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'processus-data-'));
+process.env.DB_DIR = dataDir;
+
+process.on('exit', () => {
+  fs.rmSync(dataDir, { recursive: true, force: true });
+});
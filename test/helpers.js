@@ -0,0 +1,76 @@
+// test/helpers.js
+// Shared setup for the check scripts (npm run test:*): a quiet engine, or a
+// server.js process, on the in-process memory queue, so they run without Redis,
+// and a temporary data directory (see data-dir.js)
+
+import { dataDir } from './data-dir.js';
+import { spawn } from 'node:child_process';
+import { once } from 'node:events';
+import logger from '../engine/logger.js';
+import api from '../engine/api.js';
+
+export { dataDir };
+
+const FINISHED_STATUSES = ['completed', 'error', 'cancelled', 'compensated', 'compensation_failed'];
+
+// Keep the engine's logging out of the check output
+export function silenceLogs() {
+  logger.transports.forEach((transport) => { transport.silent = true; });
+}
+
+// Initialize the engine with logging silenced
+export async function startEngine(config = {}) {
+  silenceLogs();
+  await api.initAsync({ useQueue: true, queueBackend: 'memory', ...config });
+  return api;
+}
+
+// Poll the store until the instance has finished, and return it
+export async function waitForFinish(workflowId, timeoutMs = 15000) {
+  const deadline = Date.now() + timeoutMs;
+
+  while (Date.now() < deadline) {
+    const workflow = await api.getWorkflowStatusAsync(workflowId).catch(() => null);
+    if (workflow && FINISHED_STATUSES.includes(workflow.status)) {
+      return workflow;
+    }
+    await new Promise((resolve) => setTimeout(resolve, 100));
+  }
+
+  throw new Error(`Workflow [${workflowId}] did not finish within ${timeoutMs}ms`);
+}
+
+// Start server.js in its own process on the memory queue, resolving once its
+// engine is ready; stop() ends it like a process manager would and resolves
+// with its exit code
+export async function startServer(env = {}, port = 3100 + Math.floor(Math.random() * 800)) {
+  const server = spawn('node', ['server.js'], {
+    env: { ...process.env, PORT: String(port), QUEUE_BACKEND: 'memory', ...env },
+    stdio: ['ignore', 'pipe', 'inherit']
+  });
+
+  let output = '';
+  await new Promise((resolve, reject) => {
+    server.stdout.on('data', (data) => {
+      output += data;
+      if (output.includes('initialized successfully') && output.includes('Server running')) {
+        resolve();
+      }
+    });
+    server.on('exit', (code) => reject(new Error(`server.js exited with code ${code}:\n${output}`)));
+  });
+
+  return {
+    url: `http://localhost:${port}`,
+    async stop() {
+      server.kill('SIGTERM');
+      const [code] = await once(server, 'exit');
+      return code;
+    }
+  };
+}
+
+// Report a passed check
+export function passed(description) {
+  console.log(`✔ ${description}`);
+}